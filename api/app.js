@@ -5,12 +5,19 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const authJwt = require("./src/helpers/jwt");
 const errorHandler = require("./src/helpers/errorHandler");
+const { NotFoundError } = require("./src/helpers/errors");
+const { syncBasePrices } = require("./src/helpers/basePrice");
+const { createTransport, setTransport } = require("./src/helpers/mailer");
 
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsdoc = require("swagger-jsdoc");
 
 require("dotenv/config");
 
+// A missing or unknown MAIL_TRANSPORT stops the API here instead of failing
+// the first email
+setTransport(createTransport());
+
 const api = process.env.API_URL;
 const connectMongodb = process.env.CONNECTION_STRING;
 
@@ -28,26 +35,53 @@ const swaggerOptions = {
         url: `http://localhost:${process.env.PORT || 3000}`,
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+    },
   },
   apis: ["./src/routers/*.js"], // Ruta a tus archivos de rutas (donde están tus comentarios Swagger)
 };
 
 const swaggerDocs = swaggerJsdoc(swaggerOptions);
 
+// Behind a proxy or load balancer req.ip, used by the rate limits, is the
+// address of the proxy unless it is trusted: TRUST_PROXY is the number of
+// proxies in front of the API, or their addresses separated by commas
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
+
 // Middleware
 app.use(cors());
 app.options("*", cors());
-app.use(express.json());
+// The raw body is kept for the signature check of the payment webhooks
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(morgan("tiny"));
 
 // Middleware para permitir acceso a Swagger sin autenticación
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
-// Middleware de autenticación (lo ponemos después de Swagger)
+// Middleware de autenticación (lo ponemos después de Swagger). Solo decodifica
+// el token; cada router declara los permisos de sus rutas
 app.use(authJwt());
 
 app.use('/public/uploads', express.static(__dirname + '/public/uploads'));
-app.use(errorHandler);
 
 
 // Swagger UI
@@ -58,16 +92,36 @@ const categoriesRoutes = require("./src/routers/categories");
 const productsRouter = require("./src/routers/products");
 const userRoutes = require("./src/routers/users");
 const ordersRoutes = require("./src/routers/orders");
+const cartsRoutes = require("./src/routers/carts");
+const reviewsRoutes = require("./src/routers/reviews");
+const couponsRoutes = require("./src/routers/coupons");
+const currenciesRoutes = require("./src/routers/currencies");
+const paymentsRoutes = require("./src/routers/payments");
+const analyticsRoutes = require("./src/routers/analytics");
+const auditRoutes = require("./src/routers/audit");
 
 app.use(`${api}/categories`, categoriesRoutes);
 app.use(`${api}/products`, productsRouter);
 app.use(`${api}/users`, userRoutes);
 app.use(`${api}/orders`, ordersRoutes);
+app.use(`${api}/carts`, cartsRoutes);
+app.use(`${api}/reviews`, reviewsRoutes);
+app.use(`${api}/coupons`, couponsRoutes);
+app.use(`${api}/currencies`, currenciesRoutes);
+app.use(`${api}/payments`, paymentsRoutes);
+app.use(`${api}/analytics`, analyticsRoutes);
+app.use(`${api}/audit`, auditRoutes);
+
+// Errors last, so they also catch what the routers throw
+app.use((req, res, next) => next(new NotFoundError("Route not found")));
+app.use(errorHandler);
 
 mongoose
   .connect(connectMongodb)
   .then(() => {
     console.log("Database Connection is ready..!");
+    // Products saved before basePrice existed, or under another BASE_CURRENCY
+    return syncBasePrices();
   })
   .catch((err) => {
     console.log(err);
@@ -0,0 +1,274 @@
+const { Order } = require("../models/order");
+const { OrderItems } = require("../models/order-item");
+const { Category } = require("../models/category");
+const { roundMoney } = require("./pricing");
+const { PAID_STATUSES } = require("./orderStatus");
+const { ValidationError } = require("./errors");
+
+// Aggregations behind the admin dashboard. Revenue counts the orders in
+// PAID_STATUSES; every amount is converted from the order currency to the
+// base currency with the exchange rate stored on the order, then into the
+// reporting currency of money (see helpers/currency.js).
+
+const INTERVALS = ["day", "week", "month"];
+const RANKINGS = ["revenue", "quantity"];
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+// 400 listing a parameter the schema of the route cannot check alone
+function parameterError(field, message) {
+  return new ValidationError("Invalid request parameters", {
+    status: 400,
+    errors: [{ field, in: "query", message }],
+  });
+}
+
+// Canonical name of an IANA timezone, checked here because $dateTrunc fails
+// the whole aggregation on an unknown one
+function parseTimezone(query) {
+  const timezone = String(query.timezone || "UTC");
+  try {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+    }).resolvedOptions().timeZone;
+  } catch (error) {
+    throw parameterError(
+      "timezone",
+      "must be an IANA timezone, e.g. America/Asuncion"
+    );
+  }
+}
+
+/**
+ * Parses the common parameters of the analytics endpoints, already checked
+ * one by one against the schema of the route (see routers/analytics.js):
+ *
+ *   ?from=2024-01-01&to=2024-03-31   range on dateOrdered
+ *   ?interval=day|week|month          bucket size of the time series
+ *   ?timezone=America/Asuncion        timezone of the buckets, UTC by default
+ *   ?limit=10                         size of the rankings
+ *   ?by=revenue|quantity              order of the rankings
+ */
+function parseAnalyticsQuery(query) {
+  const from = query.from ? new Date(query.from) : undefined;
+  const to = query.to ? new Date(query.to) : undefined;
+  if (from && to && from > to) throw parameterError("to", "must be after from");
+
+  const interval = String(query.interval || "day");
+  const limit = query.limit ? Number(query.limit) : DEFAULT_TOP;
+  const sortBy = String(query.by || "revenue");
+
+  const dateOrdered = {};
+  if (from) dateOrdered.$gte = from;
+  if (to) dateOrdered.$lte = to;
+
+  return {
+    dateFilter: from || to ? { dateOrdered } : {},
+    interval,
+    timezone: parseTimezone(query),
+    limit,
+    sortBy,
+  };
+}
+
+// Aggregation expression of an amount of the order in the reporting currency
+function reporting(amount, money) {
+  return {
+    $multiply: [
+      { $divide: [amount, { $ifNull: ["$exchangeRate", 1] }] },
+      money.rate,
+    ],
+  };
+}
+
+function paidOrders(analyticsQuery) {
+  return {
+    $match: {
+      ...analyticsQuery.dateFilter,
+      status: { $in: PAID_STATUSES },
+    },
+  };
+}
+
+// Revenue, orders and average order value of the result of a $group stage
+function totals(group) {
+  return {
+    revenue: roundMoney(group.revenue),
+    orders: group.orders,
+    averageOrderValue: group.orders
+      ? roundMoney(group.revenue / group.orders)
+      : 0,
+  };
+}
+
+async function salesSummary(analyticsQuery, money) {
+  const [group] = await Order.aggregate([
+    paidOrders(analyticsQuery),
+    {
+      $group: {
+        _id: null,
+        revenue: { $sum: reporting("$totalPrice", money) },
+        orders: { $sum: 1 },
+        customers: { $addToSet: "$user" },
+      },
+    },
+  ]);
+  if (!group) return { ...totals({ revenue: 0, orders: 0 }), customers: 0 };
+  return { ...totals(group), customers: group.customers.length };
+}
+
+// Revenue and orders per day, week (starting on Monday) or month. Buckets
+// without orders are left out.
+async function salesOverTime(analyticsQuery, money) {
+  const groups = await Order.aggregate([
+    paidOrders(analyticsQuery),
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$dateOrdered",
+            unit: analyticsQuery.interval,
+            timezone: analyticsQuery.timezone,
+            startOfWeek: "monday",
+          },
+        },
+        revenue: { $sum: reporting("$totalPrice", money) },
+        orders: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  return groups.map((group) => ({ period: group._id, ...totals(group) }));
+}
+
+// Stages that turn paid orders into one document per order item, with the
+// item revenue (line total minus its share of the discount) in the reporting
+// currency
+function itemStages(analyticsQuery, money) {
+  return [
+    paidOrders(analyticsQuery),
+    {
+      $lookup: {
+        from: OrderItems.collection.name,
+        localField: "orderItems",
+        foreignField: "_id",
+        as: "item",
+      },
+    },
+    { $unwind: "$item" },
+    {
+      $addFields: {
+        itemRevenue: reporting(
+          {
+            $subtract: [
+              { $ifNull: ["$item.lineTotal", 0] },
+              { $ifNull: ["$item.discount", 0] },
+            ],
+          },
+          money
+        ),
+      },
+    },
+  ];
+}
+
+async function topProducts(analyticsQuery, money) {
+  const groups = await Order.aggregate([
+    ...itemStages(analyticsQuery, money),
+    {
+      $group: {
+        _id: "$item.product",
+        name: { $last: "$item.name" },
+        sku: { $last: "$item.sku" },
+        quantity: { $sum: "$item.quantity" },
+        revenue: { $sum: "$itemRevenue" },
+        orders: { $sum: 1 },
+      },
+    },
+    { $sort: { [analyticsQuery.sortBy]: -1 } },
+    { $limit: analyticsQuery.limit },
+  ]);
+  return groups.map((group) => ({
+    product: group._id,
+    name: group.name,
+    sku: group.sku,
+    quantity: group.quantity,
+    revenue: roundMoney(group.revenue),
+    orders: group.orders,
+  }));
+}
+
+async function topCategories(analyticsQuery, money) {
+  const groups = await Order.aggregate([
+    ...itemStages(analyticsQuery, money),
+    {
+      $group: {
+        _id: "$item.category",
+        quantity: { $sum: "$item.quantity" },
+        revenue: { $sum: "$itemRevenue" },
+      },
+    },
+    { $sort: { [analyticsQuery.sortBy]: -1 } },
+    { $limit: analyticsQuery.limit },
+    {
+      $lookup: {
+        from: Category.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "category",
+      },
+    },
+  ]);
+  return groups.map((group) => ({
+    category: group._id,
+    name: group.category.length > 0 ? group.category[0].name : null,
+    quantity: group.quantity,
+    revenue: roundMoney(group.revenue),
+  }));
+}
+
+async function salesByCountry(analyticsQuery, money) {
+  const groups = await Order.aggregate([
+    paidOrders(analyticsQuery),
+    {
+      $group: {
+        _id: "$country",
+        revenue: { $sum: reporting("$totalPrice", money) },
+        orders: { $sum: 1 },
+      },
+    },
+    { $sort: { revenue: -1 } },
+  ]);
+  return groups.map((group) => ({ country: group._id, ...totals(group) }));
+}
+
+// Every status, not only the paid ones, with the amount of its orders
+async function ordersByStatus(analyticsQuery, money) {
+  const groups = await Order.aggregate([
+    { $match: analyticsQuery.dateFilter },
+    {
+      $group: {
+        _id: "$status",
+        revenue: { $sum: reporting("$totalPrice", money) },
+        orders: { $sum: 1 },
+      },
+    },
+    { $sort: { orders: -1 } },
+  ]);
+  return groups.map((group) => ({
+    status: group._id,
+    orders: group.orders,
+    amount: roundMoney(group.revenue),
+  }));
+}
+
+exports.INTERVALS = INTERVALS;
+exports.RANKINGS = RANKINGS;
+exports.MAX_TOP = MAX_TOP;
+exports.parseAnalyticsQuery = parseAnalyticsQuery;
+exports.salesSummary = salesSummary;
+exports.salesOverTime = salesOverTime;
+exports.topProducts = topProducts;
+exports.topCategories = topCategories;
+exports.salesByCountry = salesByCountry;
+exports.ordersByStatus = ordersByStatus;
@@ -0,0 +1,12 @@
+// Wraps a route handler so whatever it throws, or the promise it returns
+// rejects with, reaches the error handler of app.js. Express 4 does not
+// catch the errors of async handlers by itself.
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve()
+      .then(() => handler(req, res, next))
+      .catch(next);
+  };
+}
+
+module.exports = asyncHandler;
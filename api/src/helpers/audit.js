@@ -0,0 +1,107 @@
+const { AuditLog } = require("../models/audit-log");
+const { AUDIT_ACTIONS } = require("./auditActions");
+
+// Fields that never tell anything about a change
+const IGNORED_FIELDS = ["_id", "__v"];
+// Fields never copied into the log
+const SECRET_FIELDS = ["passwordHash"];
+
+// Plain copy of a document as it is stored, populated paths as ids. Taken
+// before changing a document, since a saved document keeps no old values.
+function snapshot(doc) {
+  if (!doc) return null;
+  const plain = doc.toObject
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc;
+  const copy = JSON.parse(JSON.stringify(plain));
+  SECRET_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+// { field: { from, to } } of the top-level fields that differ
+function diff(before, after) {
+  const from = before || {};
+  const to = after || {};
+  const changes = {};
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const previous = from[field] === undefined ? null : from[field];
+    const next = to[field] === undefined ? null : to[field];
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { from: previous, to: next };
+    }
+  });
+  return changes;
+}
+
+function actionOf(before, after) {
+  if (!before) return AUDIT_ACTIONS.CREATE;
+  if (!after) return AUDIT_ACTIONS.DELETE;
+  return AUDIT_ACTIONS.UPDATE;
+}
+
+/**
+ * Records who changed what in the audit log. changes is a list of
+ *
+ *   { entity, before, after, action? }
+ *
+ * with before null for a created document and after null for a deleted one,
+ * as documents or snapshots. The action is guessed from them if missing.
+ * Updates that changed nothing are left out.
+ *
+ * The change is already saved when this runs, so a failure to write the log
+ * is reported in the server log and the request still succeeds: failing it
+ * would only make the client retry a change that did happen.
+ */
+async function recordAudits(req, changes) {
+  const entries = changes
+    .map(({ entity, before, after, action }) => {
+      const previous = snapshot(before);
+      const next = snapshot(after);
+      return {
+        actor: req.auth ? req.auth.userId : null,
+        system: req.system || null,
+        action: action || actionOf(previous, next),
+        entity,
+        entityId: (next || previous)._id,
+        changes: diff(previous, next),
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+      };
+    })
+    .filter(
+      (entry) =>
+        entry.action !== AUDIT_ACTIONS.UPDATE ||
+        Object.keys(entry.changes).length > 0
+    );
+  if (entries.length === 0) return;
+
+  try {
+    await AuditLog.insertMany(entries);
+  } catch (error) {
+    console.error("Could not write the audit log", entries, error);
+  }
+}
+
+function recordAudit(req, entity, before, after, action) {
+  return recordAudits(req, [{ entity, before, after, action }]);
+}
+
+// Stands for req in the changes the API makes on its own, like the ones of
+// the payment webhook, which are recorded with system as their author
+function systemRequest(req, system) {
+  return {
+    auth: null,
+    system,
+    method: req.method,
+    originalUrl: req.originalUrl,
+    ip: req.ip,
+  };
+}
+
+exports.snapshot = snapshot;
+exports.diff = diff;
+exports.recordAudits = recordAudits;
+exports.recordAudit = recordAudit;
+exports.systemRequest = systemRequest;
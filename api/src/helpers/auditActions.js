@@ -0,0 +1,24 @@
+// What an audit log entry records was done to the entity
+const AUDIT_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  // Soft delete, see helpers/deletion.js
+  DELETE: "delete",
+  RESTORE: "restore",
+  // Permanent delete
+  PURGE: "purge",
+};
+
+// Entities whose changes are audited
+const AUDITED_ENTITIES = {
+  PRODUCT: "product",
+  CATEGORY: "category",
+  ORDER: "order",
+  // Role changes, deletes and restores made by admins
+  USER: "user",
+  // Exchange rates, which change the effective prices
+  CURRENCY: "currency",
+};
+
+exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+exports.AUDITED_ENTITIES = AUDITED_ENTITIES;
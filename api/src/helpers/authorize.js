@@ -0,0 +1,83 @@
+const sendError = require("./sendError");
+const { AuthenticationError, ForbiddenError } = require("./errors");
+
+const ROLES = {
+  CUSTOMER: "customer",
+  STAFF: "staff",
+  ADMIN: "admin",
+};
+
+// Roles allowed for each permission. Routers declare the permission they need
+// with authorize() and never compare roles themselves.
+const PERMISSIONS = {
+  "categories:write": [ROLES.STAFF, ROLES.ADMIN],
+  "products:write": [ROLES.STAFF, ROLES.ADMIN],
+  "orders:create": [ROLES.CUSTOMER, ROLES.STAFF, ROLES.ADMIN],
+  "orders:create:any": [ROLES.STAFF, ROLES.ADMIN],
+  "orders:read:any": [ROLES.STAFF, ROLES.ADMIN],
+  "orders:update": [ROLES.STAFF, ROLES.ADMIN],
+  "orders:delete": [ROLES.ADMIN],
+  "carts:manage:any": [ROLES.STAFF, ROLES.ADMIN],
+  "users:read:any": [ROLES.STAFF, ROLES.ADMIN],
+  "users:manage": [ROLES.ADMIN],
+  "reviews:write": [ROLES.CUSTOMER, ROLES.STAFF, ROLES.ADMIN],
+  "reviews:moderate": [ROLES.STAFF, ROLES.ADMIN],
+  "coupons:manage": [ROLES.STAFF, ROLES.ADMIN],
+  "currencies:manage": [ROLES.ADMIN],
+  "analytics:read": [ROLES.STAFF, ROLES.ADMIN],
+  "audit:read": [ROLES.ADMIN],
+  // ?includeDeleted and permanent deletes, see helpers/deletion.js
+  "deleted:read": [ROLES.ADMIN],
+  "deleted:purge": [ROLES.ADMIN],
+};
+
+// Tokens and users issued before roles existed only carry isAdmin
+function roleOf(subject) {
+  if (!subject) return null;
+  if (subject.isAdmin) return ROLES.ADMIN;
+  return subject.role || ROLES.CUSTOMER;
+}
+
+function can(auth, permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Unknown permission: ${permission}`);
+  return Boolean(auth) && allowed.includes(roleOf(auth));
+}
+
+// True when the authenticated user is the owner of the resource, or holds the
+// permission to access it regardless of the owner.
+function isOwnerOr(auth, ownerId, permission) {
+  if (!auth) return false;
+  if (ownerId && ownerId.toString() === auth.userId) return true;
+  return can(auth, permission);
+}
+
+function requireAuth(req, res, next) {
+  if (!req.auth) return sendError(res, new AuthenticationError());
+  next();
+}
+
+// Route middleware: authorize("orders:delete")
+function authorize(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return (req, res, next) =>
+    requireAuth(req, res, () => {
+      if (!can(req.auth, permission)) return forbidden(res);
+      next();
+    });
+}
+
+function forbidden(res) {
+  return sendError(res, new ForbiddenError());
+}
+
+exports.ROLES = ROLES;
+exports.PERMISSIONS = PERMISSIONS;
+exports.roleOf = roleOf;
+exports.can = can;
+exports.isOwnerOr = isOwnerOr;
+exports.requireAuth = requireAuth;
+exports.authorize = authorize;
+exports.forbidden = forbidden;
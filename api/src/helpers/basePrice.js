@@ -0,0 +1,34 @@
+const { Product } = require("../models/product");
+const { baseCurrency, loadRates } = require("./currency");
+
+// Product.basePrice is the price converted into the base currency, so
+// GET /products can filter and sort products priced in different currencies
+// together. It is computed again whenever a price, a currency or an exchange
+// rate changes.
+
+// Aggregation expression of the rate of the product currency, null when the
+// currency has none
+function rateOf(rates) {
+  return {
+    $switch: {
+      branches: Object.entries(rates).map(([currency, rate]) => ({
+        case: { $eq: [{ $ifNull: ["$currency", baseCurrency()] }, currency] },
+        then: rate,
+      })),
+      default: null,
+    },
+  };
+}
+
+// Recomputes the base price of the products matching filter, all of them by
+// default
+async function syncBasePrices(filter = {}) {
+  const rates = await loadRates();
+  await Product.updateMany(filter, [
+    {
+      $set: { basePrice: { $divide: ["$price", rateOf(rates)] } },
+    },
+  ]);
+}
+
+exports.syncBasePrices = syncBasePrices;
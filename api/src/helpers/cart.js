@@ -0,0 +1,100 @@
+const { Cart } = require("../models/cart");
+const { Product } = require("../models/product");
+const { priceItems } = require("./pricing");
+const { converter } = require("./currency");
+const { NOT_DELETED } = require("./deletion");
+
+// Drops lines whose product or variant no longer exists, or whose product
+// was deleted, and returns the cart with the live prices of every line and
+// the subtotal, in currency (the base currency by default).
+async function cartSummary(cart, currency) {
+  const money = await converter(currency);
+  const productIds = cart.items.map((item) => item.product);
+  const existing = await Product.find({
+    _id: { $in: productIds },
+    ...NOT_DELETED,
+  }).select("_id variants._id");
+  const byId = new Map(existing.map((product) => [product.id, product]));
+
+  const items = cart.items.filter((item) => {
+    const product = byId.get(item.product.toString());
+    if (!product) return false;
+    return item.variant
+      ? Boolean(product.variants.id(item.variant))
+      : product.variants.length === 0;
+  });
+  if (items.length !== cart.items.length) {
+    cart.items = items;
+    cart.dateUpdated = Date.now();
+    await cart.save();
+  }
+
+  const { lines, subtotal } = await priceItems(cart.items, money);
+
+  return {
+    id: cart.id,
+    user: cart.user,
+    status: cart.status,
+    items: lines,
+    currency: money.currency,
+    subtotal,
+    dateCreated: cart.dateCreated,
+    dateUpdated: cart.dateUpdated,
+  };
+}
+
+// Line of the cart for the product and variant (none by default)
+function findCartLine(cart, productId, variantId) {
+  return cart.items.find(
+    (item) =>
+      item.product.toString() === productId.toString() &&
+      String(item.variant) === String(variantId || null)
+  );
+}
+
+// Adds quantity to the product (or variant) line of the cart, creating it if
+// needed.
+function addToCart(cart, productId, quantity, variantId) {
+  const line = findCartLine(cart, productId, variantId);
+  if (line) {
+    line.quantity += quantity;
+  } else {
+    cart.items.push({
+      product: productId,
+      variant: variantId || null,
+      quantity,
+    });
+  }
+  cart.dateUpdated = Date.now();
+}
+
+// Moves the lines of a guest cart into the active cart of the user. When the
+// user has no active cart the guest cart is simply assigned to them.
+async function mergeGuestCart(guestCartId, userId) {
+  const guestCart = await Cart.findOne({
+    _id: guestCartId,
+    user: null,
+    status: "active",
+  });
+  if (!guestCart) return null;
+
+  const userCart = await Cart.findOne({ user: userId, status: "active" });
+  if (!userCart) {
+    guestCart.user = userId;
+    guestCart.dateUpdated = Date.now();
+    return guestCart.save();
+  }
+
+  guestCart.items.forEach((item) =>
+    addToCart(userCart, item.product, item.quantity, item.variant)
+  );
+  guestCart.status = "merged";
+  await guestCart.save();
+
+  return userCart.save();
+}
+
+exports.cartSummary = cartSummary;
+exports.findCartLine = findCartLine;
+exports.addToCart = addToCart;
+exports.mergeGuestCart = mergeGuestCart;
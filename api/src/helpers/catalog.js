@@ -0,0 +1,387 @@
+const { Product } = require("../models/product");
+const { Category } = require("../models/category");
+const { loadRates, normalizeCurrency } = require("./currency");
+const { syncBasePrices } = require("./basePrice");
+const { parseCsv, csvLine } = require("./csv");
+const slugify = require("./slug");
+const { httpError } = require("./errors");
+const { snapshot, recordAudits } = require("./audit");
+const { NOT_DELETED, isDeleted } = require("./deletion");
+const { AUDITED_ENTITIES } = require("./auditActions");
+
+// Bulk import and export of the catalog. Both use the same columns, so an
+// export can be edited and imported back. category is the category slug or
+// name and images the gallery URLs separated by "|" in CSV (an array in JSON).
+const CATALOG_FIELDS = [
+  "sku",
+  "name",
+  "description",
+  "richDescription",
+  "brand",
+  "price",
+  "currency",
+  "category",
+  "countInStock",
+  "weight",
+  "isFeatured",
+  "image",
+  "images",
+];
+const NUMBER_FIELDS = ["price", "countInStock", "weight"];
+const IMAGE_SEPARATOR = "|";
+const MAX_IMPORT_ROWS = 5000;
+
+function catalogError(message, status, errors) {
+  return httpError(status || 400, message, { errors });
+}
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "")
+  );
+}
+
+// Checks the shape of the records to import: an array of objects with known
+// columns only, so a typo in a header does not silently drop a column
+function catalogRecords(data) {
+  const records = Array.isArray(data) ? data : data && data.products;
+  if (!Array.isArray(records) || records.length === 0) {
+    throw catalogError(
+      "Send a CSV or JSON file in file, or a products array in the body"
+    );
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw catalogError(`At most ${MAX_IMPORT_ROWS} products per import`);
+  }
+
+  const unknown = new Set();
+  records.forEach((record) => {
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      throw catalogError("Every product must be an object");
+    }
+    Object.keys(record)
+      .filter((key) => !CATALOG_FIELDS.includes(key))
+      .forEach((key) => unknown.add(key));
+  });
+  if (unknown.size > 0) {
+    throw catalogError(`Unknown columns: ${[...unknown].join(", ")}`);
+  }
+  return records;
+}
+
+// Format of an uploaded catalog file: ?format=, else its extension or type
+function catalogFormat(file, format) {
+  const name = String(file.originalname || "").toLowerCase();
+  const detected =
+    format ||
+    (name.endsWith(".csv") || file.mimetype === "text/csv" ? "csv" : null) ||
+    (name.endsWith(".json") || file.mimetype === "application/json"
+      ? "json"
+      : null);
+  if (detected !== "csv" && detected !== "json") {
+    throw catalogError("The file must be CSV or JSON");
+  }
+  return detected;
+}
+
+// Records of an uploaded CSV or JSON catalog file
+function parseCatalog(text, format) {
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw catalogError("The file is not valid JSON");
+    }
+    return catalogRecords(data);
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw catalogError("The file is empty");
+  const columns = header.map((column) => column.trim());
+  return catalogRecords(
+    rows.map((values) =>
+      Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+    )
+  );
+}
+
+function parseFlag(value) {
+  if (typeof value === "boolean") return value;
+  const flag = String(value).trim().toLowerCase();
+  if (["true", "1", "yes"].includes(flag)) return true;
+  if (["false", "0", "no"].includes(flag)) return false;
+  return undefined;
+}
+
+// Product fields of a record. Blank values are left out, so an update only
+// changes the columns that are filled in.
+function recordFields(record, fail) {
+  const fields = {};
+  CATALOG_FIELDS.forEach((name) => {
+    const value = record[name];
+    if (isBlank(value)) return;
+
+    if (NUMBER_FIELDS.includes(name)) {
+      const number = Number(value);
+      if (!Number.isFinite(number))
+        return fail(name, `${name} must be a number`);
+      fields[name] = number;
+    } else if (name === "isFeatured") {
+      const flag = parseFlag(value);
+      if (flag === undefined)
+        return fail(name, `${name} must be true or false`);
+      fields[name] = flag;
+    } else if (name === "images") {
+      const images = Array.isArray(value)
+        ? value
+        : String(value).split(IMAGE_SEPARATOR);
+      fields[name] = images
+        .map((image) => String(image).trim())
+        .filter(Boolean);
+    } else {
+      fields[name] = String(value).trim();
+    }
+  });
+  return fields;
+}
+
+// Looks categories up by slug, else by name ignoring case. Gives null when
+// several categories share the name (the same name can appear in different
+// branches of the tree).
+async function categoryLookup() {
+  const bySlug = new Map();
+  const byName = new Map();
+  const categories = await Category.find(NOT_DELETED).select("name slug");
+  categories.forEach((category) => {
+    if (category.slug) bySlug.set(category.slug, category);
+    const key = category.name.trim().toLowerCase();
+    byName.set(key, byName.has(key) ? null : category);
+  });
+  return (value) => {
+    const key = value.toLowerCase();
+    return bySlug.get(key) || byName.get(key);
+  };
+}
+
+/**
+ * Imports products, creating the new SKUs and updating the existing ones.
+ * Categories are looked up by slug or name; with createCategories the
+ * missing ones are created at the top level. Every row is validated first and nothing is written when any
+ * row fails, so a dry run shows exactly what the import would do.
+ *
+ * Returns { dryRun, total, created, updated, unchanged, categoriesCreated,
+ * errors: [{ row, field, message }] } where row 1 is the first product.
+ * Throws a 422 with the errors when a real import has any.
+ *
+ * The changes are recorded in the audit log as made by the request req.
+ */
+async function importCatalog(records, { dryRun, createCategories, req } = {}) {
+  const skus = records
+    .filter((record) => !isBlank(record.sku))
+    .map((record) => String(record.sku).trim());
+  const [rates, findCategory, existing] = await Promise.all([
+    loadRates(),
+    categoryLookup(),
+    Product.find({ sku: { $in: skus } }),
+  ]);
+  const bySku = new Map(existing.map((product) => [product.sku, product]));
+  // Values before the import, for the audit log
+  const previous = new Map(
+    existing.map((product) => [product.id, snapshot(product)])
+  );
+
+  const errors = [];
+  const products = [];
+  const newCategories = new Map();
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const rowErrors = [];
+    const fail = (field, message) => rowErrors.push({ row, field, message });
+    const fields = recordFields(record, fail);
+
+    if (!fields.sku) {
+      fail("sku", "sku is required");
+    } else if (seen.has(fields.sku)) {
+      fail("sku", `sku ${fields.sku} appears more than once in the file`);
+    } else {
+      seen.add(fields.sku);
+    }
+    // The SKU stays taken while the product is deleted, and an import must
+    // not bring it back
+    if (fields.sku && isDeleted(bySku.get(fields.sku))) {
+      fail("sku", `sku ${fields.sku} belongs to a deleted product`);
+    }
+
+    if (fields.currency) {
+      try {
+        fields.currency = normalizeCurrency(fields.currency);
+        if (!rates[fields.currency]) {
+          fail("currency", `No exchange rate for ${fields.currency}`);
+        }
+      } catch (error) {
+        fail("currency", error.message);
+      }
+    }
+
+    if (fields.category) {
+      const category = findCategory(fields.category);
+      const key = slugify(fields.category);
+      if (category) {
+        fields.category = category._id;
+      } else if (category === null) {
+        fail(
+          "category",
+          `Several categories are named ${fields.category}, use the slug`
+        );
+      } else if (createCategories && key) {
+        if (!newCategories.has(key)) {
+          newCategories.set(key, new Category({ name: fields.category }));
+        }
+        fields.category = newCategories.get(key)._id;
+      } else {
+        fail("category", `Unknown category: ${fields.category}`);
+      }
+    }
+
+    if (rowErrors.length === 0) {
+      const product = bySku.get(fields.sku) || new Product();
+      // The stock of a product with variants is the total of its variants
+      if (product.variants.length > 0) delete fields.countInStock;
+      product.set(fields);
+      const invalid = product.validateSync();
+      if (invalid) {
+        Object.values(invalid.errors).forEach((error) =>
+          fail(error.path, error.message)
+        );
+      } else {
+        products.push(product);
+      }
+    }
+    errors.push(...rowErrors);
+  });
+
+  const changed = products.filter(
+    (product) => product.isNew || product.isModified()
+  );
+  const created = products.filter((product) => product.isNew).length;
+  const result = {
+    dryRun: Boolean(dryRun),
+    total: records.length,
+    created,
+    updated: changed.length - created,
+    unchanged: products.length - changed.length,
+    categoriesCreated: [...newCategories.values()].map(
+      (category) => category.name
+    ),
+    errors,
+  };
+  if (dryRun) return result;
+  if (errors.length > 0) {
+    throw catalogError(
+      "The import has errors, nothing was imported",
+      422,
+      errors
+    );
+  }
+
+  if (newCategories.size > 0) {
+    await Category.insertMany([...newCategories.values()]);
+  }
+  try {
+    await Product.bulkSave(changed);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw catalogError("Another product took one of the SKUs meanwhile", 409);
+    }
+    throw error;
+  }
+  await syncBasePrices({ _id: { $in: changed.map((product) => product._id) } });
+  await recordAudits(req, [
+    ...[...newCategories.values()].map((category) => ({
+      entity: AUDITED_ENTITIES.CATEGORY,
+      before: null,
+      after: category,
+    })),
+    ...changed.map((product) => ({
+      entity: AUDITED_ENTITIES.PRODUCT,
+      before: previous.get(product.id) || null,
+      after: product,
+    })),
+  ]);
+  return result;
+}
+
+function catalogRecord(product) {
+  return {
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    richDescription: product.richDescription,
+    brand: product.brand,
+    price: product.price,
+    currency: product.currency,
+    category: product.category
+      ? product.category.slug || product.category.name
+      : "",
+    countInStock: product.countInStock,
+    weight: product.weight,
+    isFeatured: product.isFeatured,
+    image: product.image,
+    images: product.images || [],
+  };
+}
+
+// Resolves once the response can take more data or the client went away
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Streams the products matching filter to res as CSV or JSON, reading them
+// with a cursor so the catalog is never loaded in memory at once
+async function writeCatalog(res, filter, format) {
+  const cursor = Product.find(filter)
+    .sort({ _id: 1 })
+    .populate("category", "name slug")
+    .lean()
+    .cursor();
+
+  async function write(chunk) {
+    if (!res.write(chunk)) await drained(res);
+  }
+
+  let first = true;
+  await write(format === "csv" ? csvLine(CATALOG_FIELDS) : "[");
+  for await (const product of cursor) {
+    if (res.destroyed) break;
+    const record = catalogRecord(product);
+    if (format === "csv") {
+      record.images = record.images.join(IMAGE_SEPARATOR);
+      await write(csvLine(CATALOG_FIELDS.map((field) => record[field])));
+    } else {
+      await write(`${first ? "" : ","}\n${JSON.stringify(record)}`);
+    }
+    first = false;
+  }
+  if (format !== "csv") await write("\n]\n");
+  res.end();
+}
+
+exports.CATALOG_FIELDS = CATALOG_FIELDS;
+exports.catalogRecords = catalogRecords;
+exports.catalogFormat = catalogFormat;
+exports.parseCatalog = parseCatalog;
+exports.importCatalog = importCatalog;
+exports.writeCatalog = writeCatalog;
@@ -0,0 +1,142 @@
+const { Category } = require("../models/category");
+const { httpError } = require("./errors");
+const { NOT_DELETED } = require("./deletion");
+
+// Categories form a tree through parent. Every category also stores its
+// ancestors (root first) so a whole subtree or a breadcrumb path is a single
+// query; moveCategory keeps them in sync.
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+function categoryError(message, status) {
+  return httpError(status || 400, message);
+}
+
+// Finds a category by ID or by slug, deleted ones only with includeDeleted
+async function findCategory(idOrSlug, { includeDeleted } = {}) {
+  const value = String(idOrSlug).trim();
+  const filter = OBJECT_ID.test(value)
+    ? { _id: value }
+    : { slug: value.toLowerCase() };
+  return Category.findOne(
+    includeDeleted ? filter : { ...filter, ...NOT_DELETED }
+  );
+}
+
+// IDs of the categories given by ID or slug; unknown slugs are left out
+async function categoryIds(values) {
+  const ids = values.filter((value) => OBJECT_ID.test(value));
+  const slugs = values
+    .filter((value) => !OBJECT_ID.test(value))
+    .map((value) => value.toLowerCase());
+  if (slugs.length === 0) return ids;
+  const bySlug = await Category.find({ slug: { $in: slugs } }).distinct("_id");
+  return [...ids, ...bySlug.map((id) => id.toString())];
+}
+
+// The categories and all their descendants
+async function withDescendants(ids) {
+  const descendants = await Category.find({
+    ancestors: { $in: ids },
+  }).distinct("_id");
+  return [...ids, ...descendants.map((id) => id.toString())];
+}
+
+// parent and ancestors of a category placed under parentId, or at the root
+// when parentId is empty
+async function placement(parentId) {
+  if (!parentId) return { parent: null, ancestors: [] };
+  const parent = await findCategory(parentId);
+  if (!parent) throw categoryError("Parent category not found");
+  return { parent: parent._id, ancestors: [...parent.ancestors, parent._id] };
+}
+
+// Moves a category with its whole subtree under parentId (the root when
+// empty). The descendants keep their place below the category.
+async function moveCategory(category, parentId) {
+  const { parent, ancestors } = await placement(parentId);
+  if (ancestors.some((id) => id.equals(category._id))) {
+    throw categoryError("A category cannot be moved into its own subtree", 409);
+  }
+
+  category.set({ parent, ancestors });
+  await category.save();
+
+  // Replaces everything above the category in the ancestors of its subtree
+  await Category.updateMany({ ancestors: category._id }, [
+    {
+      $set: {
+        ancestors: {
+          $concatArrays: [
+            ancestors,
+            {
+              $slice: [
+                "$ancestors",
+                { $indexOfArray: ["$ancestors", category._id] },
+                { $size: "$ancestors" },
+              ],
+            },
+          ],
+        },
+      },
+    },
+  ]);
+  return category;
+}
+
+// Breadcrumb of a category: [{ id, name, slug }] from the root down to it
+async function categoryPath(category) {
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } });
+  const byId = new Map(ancestors.map((item) => [item.id, item]));
+  return [
+    ...category.ancestors.map((id) => byId.get(id.toString())).filter(Boolean),
+    category,
+  ].map((item) => ({ id: item.id, name: item.name, slug: item.slug }));
+}
+
+/**
+ * Nested categories, children sorted by name:
+ *
+ *   [{ id, name, slug, icon, color, children: [...] }]
+ *
+ * The whole tree, or only the subtree of root when given. Deleted
+ * categories are left out unless includeDeleted.
+ */
+async function categoryTree(root, { includeDeleted } = {}) {
+  const filter = root
+    ? { $or: [{ _id: root._id }, { ancestors: root._id }] }
+    : {};
+  if (!includeDeleted) Object.assign(filter, NOT_DELETED);
+  const categories = await Category.find(filter).sort({ name: 1 });
+
+  const nodes = new Map(
+    categories.map((category) => [
+      category.id,
+      {
+        id: category.id,
+        name: category.name,
+        slug: category.slug,
+        icon: category.icon,
+        color: category.color,
+        children: [],
+      },
+    ])
+  );
+  const roots = [];
+  categories.forEach((category) => {
+    const node = nodes.get(category.id);
+    // The parent of root is not loaded, so root comes out on top
+    const parent = category.parent && nodes.get(category.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+}
+
+exports.findCategory = findCategory;
+exports.categoryIds = categoryIds;
+exports.withDescendants = withDescendants;
+exports.placement = placement;
+exports.moveCategory = moveCategory;
+exports.categoryPath = categoryPath;
+exports.categoryTree = categoryTree;
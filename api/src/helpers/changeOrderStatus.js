@@ -0,0 +1,44 @@
+const { Order } = require("../models/order");
+const { releaseOrderStock } = require("./stock");
+const { releaseCoupon } = require("./coupons");
+const { ORDER_STATUS, STOCK_HELD_STATUSES } = require("./orderStatus");
+
+// Moves the order from its current status to status and records the change
+// in statusHistory. The update only applies if nobody changed the status
+// meanwhile, so every transition (and the stock release of a cancellation or
+// a refund) happens exactly once; null means the order had already moved.
+// The caller checks the transition is allowed.
+//
+// Cancelling or refunding an order that has not shipped gives back its stock
+// and coupon use. Refunded goods that already left are not restocked: the
+// units only count again once the return is received and checked.
+async function changeOrderStatus(order, status, change = {}) {
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { status },
+      $push: {
+        statusHistory: {
+          status,
+          from: order.status,
+          actor: change.actor,
+          note: change.note,
+        },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) return null;
+
+  if (
+    [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(status) &&
+    STOCK_HELD_STATUSES.includes(order.status)
+  ) {
+    await releaseOrderStock(updated);
+    await releaseCoupon(updated);
+  }
+
+  return updated;
+}
+
+module.exports = changeOrderStatus;
@@ -0,0 +1,199 @@
+const { Coupon } = require("../models/coupon");
+const { CouponRedemption } = require("../models/coupon-redemption");
+const { roundMoney } = require("./pricing");
+const { ERROR_CODES, httpError } = require("./errors");
+
+// Every reason to refuse a coupon shares one code, the message tells which
+function couponError(message, status) {
+  return httpError(status || 400, message, {
+    code: ERROR_CODES.COUPON_REJECTED,
+  });
+}
+
+function normalizeCode(code) {
+  return String(code).trim().toUpperCase();
+}
+
+async function findCoupon(code) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon) throw couponError("Invalid coupon code");
+  return coupon;
+}
+
+// A coupon without products or categories applies to every line
+function inScope(coupon, product) {
+  if (coupon.products.length === 0 && coupon.categories.length === 0) {
+    return true;
+  }
+  const matches = (ids, id) =>
+    Boolean(id) && ids.some((item) => item.toString() === id.toString());
+  return (
+    matches(coupon.products, product._id) ||
+    matches(coupon.categories, product.category)
+  );
+}
+
+// Splits amount between the lines in proportion to their totals, the last
+// line takes the rounding difference
+function allocate(amount, lines, total) {
+  let allocated = 0;
+  return lines.map((line, index) => {
+    const share =
+      index === lines.length - 1
+        ? roundMoney(amount - allocated)
+        : roundMoney((amount * line.lineTotal) / total);
+    allocated += share;
+    return {
+      product: line.product._id,
+      variant: line.variant ? line.variant._id : null,
+      amount: share,
+    };
+  });
+}
+
+/**
+ * Checks that the coupon can be used by the user on the priced lines and
+ * returns the discount to record on the order:
+ *
+ *   { coupon, code, type, amount, freeShipping,
+ *     items: [{ product, variant, amount }] }
+ *
+ * Fixed amounts and minOrderValue are in the base currency and converted by
+ * money into the currency of the lines. Usage limits are checked here and
+ * enforced again by redeemCoupon.
+ */
+async function evaluateCoupon(coupon, lines, subtotal, userId, money) {
+  const now = new Date();
+  if (!coupon.isActive) throw couponError("This coupon is not active");
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError("This coupon is not valid yet");
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw couponError("This coupon has expired");
+  }
+  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
+    throw couponError("This coupon has reached its usage limit", 409);
+  }
+  if (userId && coupon.maxUsesPerUser !== null) {
+    const uses = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: userId,
+    });
+    if (uses >= coupon.maxUsesPerUser) {
+      throw couponError("You have already used this coupon", 409);
+    }
+  }
+  const minOrderValue = money.fromBase(coupon.minOrderValue);
+  if (subtotal < minOrderValue) {
+    const minimum = `${minOrderValue} ${money.currency}`;
+    throw couponError(`This coupon requires a minimum order of ${minimum}`);
+  }
+
+  const eligible = lines.filter((line) => inScope(coupon, line.product));
+  if (eligible.length === 0) {
+    throw couponError("This coupon does not apply to any item of the order");
+  }
+  const eligibleTotal = roundMoney(
+    eligible.reduce((sum, line) => sum + line.lineTotal, 0)
+  );
+
+  let amount = 0;
+  if (coupon.type === "percentage") {
+    amount = roundMoney((eligibleTotal * coupon.value) / 100);
+  } else if (coupon.type === "fixed") {
+    amount = Math.min(money.fromBase(coupon.value), eligibleTotal);
+  }
+
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    amount,
+    freeShipping: coupon.type === "free_shipping",
+    items: amount > 0 ? allocate(amount, eligible, eligibleTotal) : [],
+  };
+}
+
+// First use of the coupon the user has left, undefined when the coupon has no
+// per user limit. Redemptions saved before uses were numbered take the
+// first free ones.
+async function freeUse(coupon, userId) {
+  if (coupon.maxUsesPerUser === null) return undefined;
+
+  const redemptions = await CouponRedemption.find({
+    coupon: coupon._id,
+    user: userId,
+  }).select("use");
+  const taken = new Set(redemptions.map((redemption) => redemption.use));
+  const unnumbered = redemptions.filter((redemption) => !redemption.use);
+  const free = [];
+  for (let use = 1; use <= coupon.maxUsesPerUser; use += 1) {
+    if (!taken.has(use)) free.push(use);
+  }
+  const use = free[unnumbered.length];
+  if (!use) throw couponError("You have already used this coupon", 409);
+  return use;
+}
+
+// Takes one use of the coupon for the order. The redemption row is written
+// first so that a use is counted only while its row exists. Its unique use
+// number keeps concurrent orders of a user from going over maxUsesPerUser,
+// and the conditional update keeps all orders from going over maxUses.
+async function redeemCoupon(order) {
+  const discount = order.discount;
+  const coupon = await Coupon.findById(discount.coupon);
+  if (!coupon) throw couponError("This coupon is not active");
+
+  let redemption;
+  while (!redemption) {
+    try {
+      redemption = await new CouponRedemption({
+        coupon: coupon._id,
+        user: order.user,
+        order: order._id,
+        use: await freeUse(coupon, order.user),
+        amount: discount.amount,
+      }).save();
+    } catch (error) {
+      // Another order of the user took the same use meanwhile: the next
+      // round picks another one, or fails once none is left
+      if (error.code !== 11000 || !(error.keyPattern || {}).use) throw error;
+    }
+  }
+
+  const result = await Coupon.updateOne(
+    {
+      _id: discount.coupon,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ["$usedCount", "$maxUses"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (result.modifiedCount !== 1) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    throw couponError("This coupon has reached its usage limit", 409);
+  }
+}
+
+// Gives back the use taken by an order, on failure or cancellation
+async function releaseCoupon(order) {
+  if (!order.discount || !order.discount.coupon) return;
+
+  const redemption = await CouponRedemption.findOneAndDelete({
+    order: order._id,
+  });
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: order.discount.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  }
+}
+
+exports.normalizeCode = normalizeCode;
+exports.findCoupon = findCoupon;
+exports.evaluateCoupon = evaluateCoupon;
+exports.redeemCoupon = redeemCoupon;
+exports.releaseCoupon = releaseCoupon;
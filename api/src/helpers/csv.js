@@ -0,0 +1,73 @@
+const { BadRequestError } = require("./errors");
+
+// Minimal RFC 4180 CSV support for the catalog import and export: comma
+// separated, fields quoted with " when they hold commas, quotes or line
+// breaks, and "" for a quote inside a quoted field.
+
+function csvError(message) {
+  return new BadRequestError(message);
+}
+
+// Parses CSV text into an array of rows, each an array of strings. Accepts
+// CRLF or LF line endings and a leading byte order mark; blank lines are
+// skipped.
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+
+  function endRow() {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  }
+
+  while (i < input.length) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') quoted = false;
+      else field += char;
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      endRow();
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+  if (quoted) throw csvError("Unterminated quoted field in the CSV");
+  if (field !== "" || row.length > 0) endRow();
+  return rows;
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, with its line break, from an array of values
+function csvLine(values) {
+  return values.map(csvValue).join(",") + "\r\n";
+}
+
+exports.parseCsv = parseCsv;
+exports.csvLine = csvLine;
@@ -0,0 +1,68 @@
+const { ExchangeRate } = require("../models/exchange-rate");
+const { BadRequestError } = require("./errors");
+
+// Prices, coupon amounts and the tax and shipping rules are in the currency
+// of each product or in BASE_CURRENCY. Everything is converted through the
+// base currency with the rates of the ExchangeRate table.
+
+function baseCurrency() {
+  return (process.env.BASE_CURRENCY || "USD").toUpperCase();
+}
+
+function currencyError(message) {
+  return new BadRequestError(message);
+}
+
+function normalizeCurrency(code) {
+  const currency = String(code).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw currencyError(`Invalid currency: ${code}`);
+  }
+  return currency;
+}
+
+// { CODE: units for one unit of the base currency }
+async function loadRates() {
+  const rates = await ExchangeRate.find();
+  const table = { [baseCurrency()]: 1 };
+  rates.forEach((item) => {
+    table[item.currency] = item.rate;
+  });
+  return table;
+}
+
+/**
+ * Converter into currency (the base currency when missing) with the
+ * current rates:
+ *
+ *   money.currency                 target currency
+ *   money.rate                     units of it for one unit of the base
+ *   money.convert(amount, from)    amount in from (base when missing)
+ *   money.fromBase(amount)         amount in the base currency
+ *
+ * Converted amounts are rounded to cents.
+ */
+async function converter(currency) {
+  const target = currency ? normalizeCurrency(currency) : baseCurrency();
+  const rates = await loadRates();
+  if (!rates[target]) throw currencyError(`No exchange rate for ${target}`);
+
+  function convert(amount, from) {
+    const source = from ? from.toUpperCase() : baseCurrency();
+    if (source === target) return amount;
+    if (!rates[source]) throw currencyError(`No exchange rate for ${source}`);
+    return Math.round((amount / rates[source]) * rates[target] * 100) / 100;
+  }
+
+  return {
+    currency: target,
+    rate: rates[target],
+    convert,
+    fromBase: (amount) => convert(amount, baseCurrency()),
+  };
+}
+
+exports.baseCurrency = baseCurrency;
+exports.normalizeCurrency = normalizeCurrency;
+exports.loadRates = loadRates;
+exports.converter = converter;
@@ -0,0 +1,230 @@
+const { Product } = require("../models/product");
+const { Category } = require("../models/category");
+const { Order } = require("../models/order");
+const { OrderItems } = require("../models/order-item");
+const { Review } = require("../models/review");
+const { Cart } = require("../models/cart");
+const { Coupon } = require("../models/coupon");
+const { CouponRedemption } = require("../models/coupon-redemption");
+const { RefreshToken } = require("../models/refresh-token");
+const { UserToken } = require("../models/user-token");
+const { can } = require("./authorize");
+const { revokeAllSessions } = require("./tokens");
+const { updateProductRating } = require("./reviews");
+const { removeProductImage } = require("./productImages");
+const { ERROR_CODES, ConflictError, ForbiddenError } = require("./errors");
+
+// Products, categories and users are soft deleted: DELETE sets deletedAt,
+// which hides them everywhere but keeps every reference to them valid, and
+// POST .../restore brings them back. Only a deleted record can then be
+// removed for good with DELETE ...?permanent=true, following DELETE_RULES.
+
+const REFUSE = "refuse";
+const CASCADE = "cascade";
+const DETACH = "detach";
+
+// Matches the documents saved before soft deletes existed as well
+const NOT_DELETED = Object.freeze({ deletedAt: null });
+
+/**
+ * What a permanent delete does with the records that point at the deleted
+ * one, through field:
+ *
+ *   refuse   the delete fails with a 409 while any of them exists
+ *   cascade  they are deleted too
+ *   detach   the reference is pulled from them ("items.product" pulls the
+ *            items of the product)
+ *
+ * References kept as history, like the audit log, the status history of the
+ * orders or the category of an order item, stay as they are.
+ */
+const DELETE_RULES = {
+  product: [
+    { model: OrderItems, field: "product", rule: REFUSE, label: "orders" },
+    { model: Review, field: "product", rule: CASCADE },
+    { model: Cart, field: "items.product", rule: DETACH },
+    { model: Coupon, field: "products", rule: DETACH },
+  ],
+  category: [
+    { model: Category, field: "parent", rule: REFUSE, label: "subcategories" },
+    { model: Product, field: "category", rule: REFUSE, label: "products" },
+    { model: Coupon, field: "categories", rule: DETACH },
+  ],
+  user: [
+    { model: Order, field: "user", rule: REFUSE, label: "orders" },
+    {
+      model: CouponRedemption,
+      field: "user",
+      rule: REFUSE,
+      label: "coupon redemptions",
+    },
+    { model: Review, field: "user", rule: CASCADE },
+    { model: Cart, field: "user", rule: CASCADE },
+    { model: RefreshToken, field: "user", rule: CASCADE },
+    { model: UserToken, field: "user", rule: CASCADE },
+  ],
+};
+
+function isDeleted(doc) {
+  return Boolean(doc && doc.deletedAt);
+}
+
+// True for ?includeDeleted=true, which only admins may use
+function includeDeleted(req) {
+  if (String(req.query.includeDeleted) !== "true") return false;
+  if (!can(req.auth, "deleted:read")) {
+    throw new ForbiddenError("Only admins can see deleted records");
+  }
+  return true;
+}
+
+// Filter of the records a request may see
+function deletedFilter(req) {
+  return includeDeleted(req) ? {} : { ...NOT_DELETED };
+}
+
+// True for DELETE ...?permanent=true, which only admins may use
+function permanentDelete(req) {
+  if (String(req.query.permanent) !== "true") return false;
+  if (!can(req.auth, "deleted:purge")) {
+    throw new ForbiddenError("Only admins can delete records permanently");
+  }
+  return true;
+}
+
+// Only deletedAt is written, so documents that older versions saved without
+// some of today's required fields can still be deleted and restored
+async function setDeletedAt(doc, deletedAt) {
+  await doc.updateOne({ deletedAt });
+  doc.deletedAt = deletedAt;
+}
+
+// 409 listing the records that still use the one being deleted
+function inUseError(message, counts) {
+  const references = {};
+  counts.forEach(({ label, count }) => {
+    references[label] = count;
+  });
+  const list = counts.map(({ label, count }) => `${count} ${label}`);
+  return new ConflictError(`${message}: ${list.join(", ")}`, {
+    code: ERROR_CODES.IN_USE,
+    details: { references },
+  });
+}
+
+async function nonZero(counts) {
+  return (await Promise.all(counts)).filter(({ count }) => count > 0);
+}
+
+/**
+ * Soft deletes doc, a document of entity (product, category or user). A
+ * category is only deleted once it has no visible subcategories or
+ * products, and a user loses every session.
+ */
+async function softDelete(entity, doc) {
+  if (entity === "category") {
+    const inUse = await nonZero([
+      Category.countDocuments({ parent: doc._id, ...NOT_DELETED }).then(
+        (count) => ({ label: "subcategories", count })
+      ),
+      Product.countDocuments({ category: doc._id, ...NOT_DELETED }).then(
+        (count) => ({ label: "products", count })
+      ),
+    ]);
+    if (inUse.length > 0) {
+      throw inUseError(
+        "Move or delete the contents of the category first",
+        inUse
+      );
+    }
+  }
+
+  await setDeletedAt(doc, new Date());
+  if (entity === "user") await revokeAllSessions(doc._id);
+  return doc;
+}
+
+// Brings back a soft deleted doc, under a parent that is not deleted
+async function restore(entity, doc) {
+  if (!isDeleted(doc)) throw new ConflictError(`The ${entity} is not deleted`);
+
+  if (entity === "product") {
+    if (
+      await Category.exists({ _id: doc.category, deletedAt: { $ne: null } })
+    ) {
+      throw new ConflictError("Restore the category of the product first");
+    }
+  }
+  if (entity === "category" && doc.parent) {
+    if (await Category.exists({ _id: doc.parent, deletedAt: { $ne: null } })) {
+      throw new ConflictError("Restore the parent category first");
+    }
+  }
+
+  await setDeletedAt(doc, null);
+  return doc;
+}
+
+/**
+ * Removes a soft deleted doc for good, applying the DELETE_RULES of entity.
+ * The stored images of a product are removed as well, and the ratings of
+ * the products reviewed by a user are computed again without their reviews.
+ */
+async function purge(entity, doc) {
+  if (!isDeleted(doc)) {
+    throw new ConflictError(
+      `Only a deleted ${entity} can be removed permanently, delete it first`
+    );
+  }
+
+  const rules = DELETE_RULES[entity];
+  const inUse = await nonZero(
+    rules
+      .filter(({ rule }) => rule === REFUSE)
+      .map(async ({ model, field, label }) => ({
+        label,
+        count: await model.countDocuments({ [field]: doc._id }),
+      }))
+  );
+  if (inUse.length > 0) {
+    throw inUseError(`The ${entity} is still referenced`, inUse);
+  }
+
+  const reviewed =
+    entity === "user"
+      ? await Review.distinct("product", { user: doc._id })
+      : [];
+
+  for (const { model, field, rule } of rules) {
+    if (rule === CASCADE) {
+      await model.deleteMany({ [field]: doc._id });
+    } else if (rule === DETACH) {
+      const [array, key] = field.split(".");
+      await model.updateMany(
+        { [field]: doc._id },
+        { $pull: { [array]: key ? { [key]: doc._id } : doc._id } }
+      );
+    }
+  }
+  await doc.deleteOne();
+
+  if (entity === "product") {
+    const images = [...new Set([doc.image, ...doc.images].filter(Boolean))];
+    await Promise.all(
+      images.map((url) => removeProductImage(url, doc.imageVariants))
+    );
+  }
+  await Promise.all(
+    reviewed.map((productId) => updateProductRating(productId))
+  );
+}
+
+exports.NOT_DELETED = NOT_DELETED;
+exports.DELETE_RULES = DELETE_RULES;
+exports.isDeleted = isDeleted;
+exports.includeDeleted = includeDeleted;
+exports.deletedFilter = deletedFilter;
+exports.permanentDelete = permanentDelete;
+exports.softDelete = softDelete;
+exports.restore = restore;
+exports.purge = purge;
@@ -0,0 +1,44 @@
+const { sendMail } = require("./mailer");
+const { PURPOSES, issueUserToken } = require("./userTokens");
+
+// Links point to the storefront, which posts the token back to the API
+function appUrl(pathname, token) {
+  const base =
+    process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user, PURPOSES.VERIFY_EMAIL);
+  const link = appUrl("/verify-email", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user, PURPOSES.RESET_PASSWORD);
+  const link = appUrl("/reset-password", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nSet a new password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for it, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Set a new password by opening <a href="${link}">this link</a>.</p><p>The link expires in 1 hour. If you did not ask for it, ignore this email.</p>`,
+  });
+}
+
+exports.sendVerificationEmail = sendVerificationEmail;
+exports.sendPasswordResetEmail = sendPasswordResetEmail;
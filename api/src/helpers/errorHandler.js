@@ -1,20 +1,9 @@
+const sendError = require("./sendError");
+
+// Last middleware of the app: answers every error passed to next() as a
+// problem document, whether thrown by a route (see asyncHandler), by the
+// body parser, the JWT check or the upload middlewares
 function errorHandler(err, req, res, next) {
-    // jwt authentication error
-  if (err.name === "UnauthorizedError") {
-    res.status(401).json({
-      message: "The user is not autorized!!",
-      error: err,
-    });
-  }
-  //validation error
-  if (err.name === "ValidationError") {
-    res.status(401).json({
-      message: err,
-    });
-  }
-  //default to 500 server error
-  res.status(500).json({
-    message: err,
-  });
+  sendError(res, err);
 }
-module.exports = errorHandler;
\ No newline at end of file
+module.exports = errorHandler;
@@ -0,0 +1,157 @@
+// Application errors. Routes and helpers throw them and the error handler
+// answers with an RFC 7807 problem (see helpers/sendError.js) carrying the
+// HTTP status, the message as detail and a stable code from ERROR_CODES.
+// Clients should branch on the code: the messages may change.
+
+const ERROR_CODES = {
+  // Generic, one per status
+  BAD_REQUEST: "bad_request",
+  UNAUTHORIZED: "unauthorized",
+  FORBIDDEN: "forbidden",
+  NOT_FOUND: "not_found",
+  CONFLICT: "conflict",
+  PAYLOAD_TOO_LARGE: "payload_too_large",
+  TOO_MANY_REQUESTS: "too_many_requests",
+  VALIDATION_FAILED: "validation_failed",
+  INTERNAL_ERROR: "internal_error",
+  // Specific cases clients usually handle on their own
+  INVALID_JSON: "invalid_json",
+  INVALID_ID: "invalid_id",
+  INVALID_TOKEN: "invalid_token",
+  INVALID_CREDENTIALS: "invalid_credentials",
+  EMAIL_NOT_VERIFIED: "email_not_verified",
+  DUPLICATE: "duplicate",
+  INSUFFICIENT_STOCK: "insufficient_stock",
+  INVALID_STATUS_TRANSITION: "invalid_status_transition",
+  COUPON_REJECTED: "coupon_rejected",
+  CONCURRENT_UPDATE: "concurrent_update",
+  LOGIN_LOCKED: "login_locked",
+  IN_USE: "in_use",
+};
+
+// Code of the errors that only give a status
+const STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  422: ERROR_CODES.VALIDATION_FAILED,
+  429: ERROR_CODES.TOO_MANY_REQUESTS,
+};
+
+function codeForStatus(status) {
+  return (
+    STATUS_CODES[status] ||
+    (status < 500 ? ERROR_CODES.BAD_REQUEST : ERROR_CODES.INTERNAL_ERROR)
+  );
+}
+
+/**
+ * Base of the errors that are safe to show to the client.
+ *
+ *   status   HTTP status
+ *   code     one of ERROR_CODES, by default the one of the status
+ *   errors   optional list of problems, e.g. [{ field, in, message }]
+ *   details  optional extra members of the problem, e.g. { allowed: [...] }
+ */
+class AppError extends Error {
+  constructor(message, { status = 500, code, errors, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || codeForStatus(status);
+    if (errors) this.errors = errors;
+    if (details) this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 400, ...options });
+  }
+}
+
+// Request data that does not match what the route expects, 422 by default
+class ValidationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: 422,
+      code: ERROR_CODES.VALIDATION_FAILED,
+      ...options,
+    });
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message = "Authentication required", options = {}) {
+    super(message, { status: 401, ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(
+    message = "You are not allowed to perform this action",
+    options = {}
+  ) {
+    super(message, { status: 403, ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", options = {}) {
+    super(message, { status: 404, ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, ...options });
+  }
+}
+
+// retryAfter, in seconds, is sent in the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(
+    message = "Too many requests, try again later",
+    { retryAfter, ...options } = {}
+  ) {
+    super(message, { status: 429, ...options });
+    if (retryAfter) this.retryAfter = retryAfter;
+  }
+}
+
+// The typed error of a status, for the helpers that choose it at runtime
+function httpError(status, message, options = {}) {
+  switch (status) {
+    case 400:
+      return new BadRequestError(message, options);
+    case 401:
+      return new AuthenticationError(message, options);
+    case 403:
+      return new ForbiddenError(message, options);
+    case 404:
+      return new NotFoundError(message, options);
+    case 409:
+      return new ConflictError(message, options);
+    case 422:
+      return new ValidationError(message, options);
+    case 429:
+      return new TooManyRequestsError(message, options);
+    default:
+      return new AppError(message, { status, ...options });
+  }
+}
+
+exports.ERROR_CODES = ERROR_CODES;
+exports.codeForStatus = codeForStatus;
+exports.AppError = AppError;
+exports.BadRequestError = BadRequestError;
+exports.ValidationError = ValidationError;
+exports.AuthenticationError = AuthenticationError;
+exports.ForbiddenError = ForbiddenError;
+exports.NotFoundError = NotFoundError;
+exports.ConflictError = ConflictError;
+exports.TooManyRequestsError = TooManyRequestsError;
+exports.httpError = httpError;
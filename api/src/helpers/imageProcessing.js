@@ -0,0 +1,80 @@
+const sharp = require("sharp");
+const { BadRequestError } = require("./errors");
+
+// Longest side in pixels of every variant; smaller images are not enlarged
+const VARIANTS = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1200,
+};
+
+const CONTENT_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+function imageError(message) {
+  return new BadRequestError(message);
+}
+
+// Detects the image type from the first bytes of the file instead of
+// trusting the mimetype sent by the client
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  return null;
+}
+
+/**
+ * Validates an uploaded image and renders every variant in its own format
+ * and in WebP. Returns [{ variant, format, contentType, buffer }].
+ */
+async function processImage(buffer) {
+  const type = detectImageType(buffer);
+  if (!type) throw imageError("Invalid image type");
+
+  try {
+    await sharp(buffer).metadata();
+  } catch (error) {
+    throw imageError("The image cannot be read");
+  }
+
+  const formats = type === "webp" ? ["webp"] : [type, "webp"];
+  const outputs = [];
+
+  for (const [variant, size] of Object.entries(VARIANTS)) {
+    for (const format of formats) {
+      const output = await sharp(buffer)
+        .rotate()
+        .resize(size, size, { fit: "inside", withoutEnlargement: true })
+        .toFormat(format, { quality: 80 })
+        .toBuffer();
+      outputs.push({
+        variant,
+        format,
+        contentType: CONTENT_TYPES[format],
+        buffer: output,
+      });
+    }
+  }
+
+  return outputs;
+}
+
+exports.VARIANTS = VARIANTS;
+exports.detectImageType = detectImageType;
+exports.processImage = processImage;
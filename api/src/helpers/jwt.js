@@ -1,30 +1,23 @@
 const { expressjwt: expressjwt } = require("express-jwt");
+const { isSessionActive } = require("./tokens");
 
+// Decodes the bearer token when one is sent and exposes it as req.auth.
+// Requests without a token go through as anonymous: every router declares
+// the permissions its routes need with the helpers in ./authorize.
 function authJwt() {
   const secret = process.env.secret;
-  const api = process.env.API_URL;
   return expressjwt({
     secret,
     algorithms: ["HS256"],
-    isRevoked: isRevoked
-  }).unless({
-    path: [
-      { url: /\/public\/uploads(.*)/, methods: ["GET", "OPTIONS"] },
-      { url: /\/api\/v1\/products(.*)/, methods: ["GET","POST","PUT", "OPTIONS"] },
-      { url: /\/api\/v1\/categories(.*)/, methods: ["GET", "OPTIONS"] },
-      { url: /\/api\/v1\/users(.*)/, methods: ["GET", "OPTIONS"] },
-      { url: /\/api\/v1\/orders(.*)/, methods: ["GET","POST","PUT","DELETE","OPTIONS"] },
-      {url: /\/api\/v1\/users\/login/, methods:['POST', 'OPTIONS']},
-      {url: /\/api\/v1\/users\/register/, methods:['POST', 'OPTIONS']},
-    //   `${api}/users/register`,
-    ],
+    credentialsRequired: false,
+    isRevoked: isRevoked,
   });
 }
-async function isRevoked(req, payload, done){
-    if(!payload.isAdmin){
-        done(null, true)
-    }
-    done();
+
+// Access tokens belong to a login session; once the session is logged out,
+// revoked or rotated away after a reuse, its tokens stop working right away.
+async function isRevoked(req, token) {
+  return !(await isSessionActive(token.payload.sid));
 }
 
 module.exports = authJwt;
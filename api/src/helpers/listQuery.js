@@ -0,0 +1,225 @@
+const mongoose = require("mongoose");
+const { BadRequestError } = require("./errors");
+
+// Shared query layer of the list endpoints. Every router describes its list
+// once (sortable fields, selectable fields, date field) and gets the same
+// query parameters, response metadata and Link headers:
+//
+//   ?page=2&limit=20           offset pagination (default)
+//   ?cursor=<next>&limit=20    cursor pagination, stable on large collections
+//   ?sort=-date                one of the whitelisted sort keys, "-" = desc
+//   ?fields=name,price         projection limited to the whitelisted fields
+//   ?from=2024-01-01&to=...    range on the date field of the list
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function listQueryError(message) {
+  return new BadRequestError(message);
+}
+
+function parseInteger(query, name) {
+  if (query[name] === undefined || query[name] === "") return undefined;
+  const value = Number(query[name]);
+  if (!Number.isInteger(value)) {
+    throw listQueryError(`${name} must be an integer`);
+  }
+  return value;
+}
+
+function parseDate(query, name) {
+  if (!query[name]) return undefined;
+  const value = new Date(query[name]);
+  if (Number.isNaN(value.getTime())) {
+    throw listQueryError(`${name} must be a valid date`);
+  }
+  return value;
+}
+
+function encodeCursor(value, id) {
+  const cursor =
+    value instanceof Date ? { d: value.toISOString(), id } : { v: value, id };
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(decoded.id)) throw new Error();
+    return {
+      value: decoded.d !== undefined ? new Date(decoded.d) : decoded.v,
+      id: new mongoose.Types.ObjectId(decoded.id),
+    };
+  } catch (error) {
+    throw listQueryError("cursor is not valid");
+  }
+}
+
+/**
+ * Parses the list parameters of a request.
+ *
+ * options.sorts       { key: field } allowed in ?sort=
+ * options.defaultSort key used when ?sort= is missing, "-" prefix for desc
+ * options.fields      fields allowed in ?fields=
+ * options.projection  projection used when ?fields= is missing
+ * options.dateField   field filtered by ?from= and ?to=
+ */
+function parseListQuery(query, options) {
+  const sortKey = String(query.sort || options.defaultSort);
+  const field = options.sorts[sortKey.replace(/^-/, "")];
+  if (!field) {
+    const keys = Object.keys(options.sorts).join(", ");
+    throw listQueryError(`sort must be one of ${keys}, "-" for descending`);
+  }
+  const direction = sortKey.startsWith("-") ? -1 : 1;
+
+  const limit = parseInteger(query, "limit") || DEFAULT_LIMIT;
+  if (limit < 1 || limit > MAX_LIMIT) {
+    throw listQueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const cursor = query.cursor ? decodeCursor(String(query.cursor)) : null;
+  const page = parseInteger(query, "page") || 1;
+  if (page < 1) throw listQueryError("page must be a positive integer");
+  if (cursor && query.page) {
+    throw listQueryError("use either page or cursor, not both");
+  }
+
+  let projection = options.projection;
+  if (query.fields) {
+    const fields = String(query.fields)
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    const unknown = fields.filter((name) => !options.fields.includes(name));
+    if (unknown.length > 0) {
+      throw listQueryError(`Unknown fields: ${unknown.join(", ")}`);
+    }
+    // The sort field is needed to build the next cursor
+    projection = [...new Set([...fields, field])].join(" ");
+  }
+
+  const filter = {};
+  if (options.dateField) {
+    const from = parseDate(query, "from");
+    const to = parseDate(query, "to");
+    if (from || to) {
+      filter[options.dateField] = {};
+      if (from) filter[options.dateField].$gte = from;
+      if (to) filter[options.dateField].$lte = to;
+    }
+  } else if (query.from || query.to) {
+    throw listQueryError("This list cannot be filtered by date");
+  }
+
+  return {
+    filter,
+    sort: { [field]: direction, _id: 1 },
+    sortField: field,
+    direction,
+    limit,
+    page,
+    cursor,
+    projection,
+  };
+}
+
+// Runs the list query on the model and returns the items with the metadata
+// of the page. baseFilter holds the filters specific to the endpoint.
+async function findPage(model, baseFilter, listQuery, populate) {
+  const { sort, sortField, direction, limit, page, cursor } = listQuery;
+  const conditions = [baseFilter, listQuery.filter];
+
+  if (cursor) {
+    const operator = direction === 1 ? "$gt" : "$lt";
+    conditions.push({
+      $or: [
+        { [sortField]: { [operator]: cursor.value } },
+        { [sortField]: cursor.value, _id: { $gt: cursor.id } },
+      ],
+    });
+  }
+
+  const filter = { $and: conditions.filter((c) => Object.keys(c).length) };
+  if (filter.$and.length === 0) delete filter.$and;
+
+  // The "+" also loads a sort field hidden by default (select: false), which
+  // the next cursor is built from
+  const projection = [listQuery.projection, `+${sortField}`]
+    .filter(Boolean)
+    .join(" ");
+  let find = model
+    .find(filter)
+    .select(projection)
+    .sort(sort)
+    .limit(limit + 1);
+  if (!cursor) find = find.skip((page - 1) * limit);
+  (populate || []).forEach((path) => {
+    find = find.populate(path);
+  });
+
+  // One extra item tells whether there is a next page
+  const found = await find;
+  const items = found.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor =
+    found.length > limit && last
+      ? encodeCursor(last.get(sortField), last._id.toString())
+      : null;
+
+  if (cursor) {
+    return { items, meta: { limit, nextCursor } };
+  }
+
+  const total = await model.countDocuments(filter);
+  return {
+    items,
+    meta: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+    },
+  };
+}
+
+function pageUrl(req, params) {
+  const url = new URL(
+    `${req.protocol}://${req.get("host")}${req.originalUrl}`
+  );
+  ["page", "cursor"].forEach((name) => url.searchParams.delete(name));
+  Object.entries(params).forEach(([name, value]) =>
+    url.searchParams.set(name, value)
+  );
+  return url.toString();
+}
+
+// Sends the page as { [key]: items, ...meta } with RFC 8288 Link headers
+function sendPage(req, res, key, { items, meta }) {
+  const links = [];
+
+  if (meta.page !== undefined) {
+    res.set("X-Total-Count", String(meta.total));
+    const lastPage = Math.max(meta.totalPages, 1);
+    links.push(`<${pageUrl(req, { page: 1 })}>; rel="first"`);
+    if (meta.page > 1) {
+      links.push(`<${pageUrl(req, { page: meta.page - 1 })}>; rel="prev"`);
+    }
+    if (meta.page < meta.totalPages) {
+      links.push(`<${pageUrl(req, { page: meta.page + 1 })}>; rel="next"`);
+    }
+    links.push(`<${pageUrl(req, { page: lastPage })}>; rel="last"`);
+  } else if (meta.nextCursor) {
+    links.push(`<${pageUrl(req, { cursor: meta.nextCursor })}>; rel="next"`);
+  }
+
+  if (links.length > 0) res.set("Link", links.join(", "));
+  res.status(200).send({ [key]: items, ...meta });
+}
+
+exports.parseListQuery = parseListQuery;
+exports.findPage = findPage;
+exports.sendPage = sendPage;
+exports.DEFAULT_LIMIT = DEFAULT_LIMIT;
+exports.MAX_LIMIT = MAX_LIMIT;
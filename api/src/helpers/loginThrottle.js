@@ -0,0 +1,84 @@
+const { getRateLimitStore } = require("./rateLimitStore");
+const { secondsUntil } = require("./rateLimit");
+const { ERROR_CODES, TooManyRequestsError } = require("./errors");
+
+// Brute force protection of the login. Attempts are counted per account (the
+// email, whether a user has it or not) and per IP before the password is
+// checked, so parallel requests cannot all get in before the counters move:
+//   - every attempt of an account waits longer than the previous one, from
+//     LOGIN_DELAY_MS and doubling up to LOGIN_MAX_DELAY_MS
+//   - after LOGIN_MAX_ATTEMPTS attempts of an account, or LOGIN_IP_MAX_ATTEMPTS
+//     from an IP, both are locked until LOGIN_LOCK_MINUTES after the first one
+// A successful login clears the counter of the account and takes its attempt
+// back from the IP, so only failures are left to count.
+
+// Read on every call: this module can be loaded before dotenv runs in app.js
+function settings(env = process.env) {
+  return {
+    maxAttempts: Number(env.LOGIN_MAX_ATTEMPTS || 5),
+    ipMaxAttempts: Number(env.LOGIN_IP_MAX_ATTEMPTS || 20),
+    lockMs: Number(env.LOGIN_LOCK_MINUTES || 15) * 60 * 1000,
+    delayMs: Number(env.LOGIN_DELAY_MS || 500),
+    maxDelayMs: Number(env.LOGIN_MAX_DELAY_MS || 8000),
+  };
+}
+
+function accountKey(email) {
+  return `login:account:${String(email).trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `login:ip:${ip}`;
+}
+
+// Delay before answering an attempt after `failures` failed ones
+function delayFor(failures, { delayMs, maxDelayMs } = settings()) {
+  if (failures < 1) return 0;
+  return Math.min(delayMs * 2 ** (failures - 1), maxDelayMs);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Counts the attempt, then throws if it goes over the limit of the account or
+// the IP, otherwise waits the delay earned by the previous attempts of the
+// account. The answer is the same whether the account exists or not.
+async function beforeLogin(email, ip) {
+  const config = settings();
+  const store = getRateLimitStore();
+  const [account, address] = await Promise.all([
+    store.increment(accountKey(email), config.lockMs),
+    store.increment(ipKey(ip), config.lockMs),
+  ]);
+
+  const locks = [
+    [account, config.maxAttempts],
+    [address, config.ipMaxAttempts],
+  ]
+    .filter(([counter, max]) => counter.count > max)
+    .map(([counter]) => counter.resetAt);
+  if (locks.length) {
+    throw new TooManyRequestsError(
+      "Too many failed login attempts, try again later",
+      {
+        code: ERROR_CODES.LOGIN_LOCKED,
+        retryAfter: secondsUntil(Math.max(...locks)),
+      }
+    );
+  }
+
+  await sleep(delayFor(account.count - 1, config));
+}
+
+async function loginSucceeded(email, ip) {
+  const store = getRateLimitStore();
+  await Promise.all([
+    store.reset(accountKey(email)),
+    store.decrement(ipKey(ip)),
+  ]);
+}
+
+exports.delayFor = delayFor;
+exports.beforeLogin = beforeLogin;
+exports.loginSucceeded = loginSucceeded;
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Every transport exposes send({ to, subject, text, html }). MAIL_TRANSPORT
+// picks one: "smtp" in production, "file" or "console" for local development
+// and tests. It is required in production, where the console would write the
+// verification and reset links, which work like passwords, to the logs.
+
+function smtpTransport(options) {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+// Writes every message as a JSON file, handy to pick up links in tests
+function fileTransport(directory) {
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const recipient = message.to.replace(/[^\w.@-]/g, "_");
+      const fileName = `${Date.now()}-${recipient}.json`;
+      const filePath = path.join(directory, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { filePath };
+    },
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: "console",
+    send: async (message) => {
+      console.log(
+        `[mail] to: ${message.to} | subject: ${message.subject}\n${message.text}`
+      );
+    },
+  };
+}
+
+function createTransport(env = process.env) {
+  if (!env.MAIL_TRANSPORT && env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT is required in production");
+  }
+  switch (env.MAIL_TRANSPORT || "console") {
+    case "smtp":
+      return smtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER
+          ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD }
+          : undefined,
+      });
+    case "file":
+      return fileTransport(env.MAIL_DIR || "mail");
+    case "console":
+      return consoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${env.MAIL_TRANSPORT}`);
+  }
+}
+
+let transport;
+
+// Sends a message through the configured transport, created on first use
+async function sendMail(message) {
+  if (!transport) transport = createTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || "no-reply@eshop.local",
+    ...message,
+  });
+}
+
+// Lets tests plug in their own transport
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+exports.smtpTransport = smtpTransport;
+exports.fileTransport = fileTransport;
+exports.consoleTransport = consoleTransport;
+exports.createTransport = createTransport;
+exports.sendMail = sendMail;
+exports.setTransport = setTransport;
@@ -0,0 +1,48 @@
+const { priceItems, pricingError, roundMoney } = require("./pricing");
+const { findCoupon, evaluateCoupon } = require("./coupons");
+const { calculateCharges } = require("./taxShipping");
+const { converter } = require("./currency");
+
+// Prices a list of { product, quantity } lines in details.currency (the base
+// currency by default) for details.country and details.region, applying
+// details.couponCode for details.user. Shared by the quote endpoint and order
+// placement so the quote is what gets charged. Returns { lines, currency,
+// exchangeRate, subtotal, discount, tax, taxRate, shipping, shippingZone,
+// totalPrice }.
+async function quoteOrder(items, details) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw pricingError("No order items provided!");
+  }
+
+  const money = await converter(details.currency);
+  const { lines, subtotal } = await priceItems(items, money);
+  const discount = details.couponCode
+    ? await evaluateCoupon(
+        await findCoupon(details.couponCode),
+        lines,
+        subtotal,
+        details.user,
+        money
+      )
+    : null;
+
+  const goodsTotal = roundMoney(subtotal - (discount ? discount.amount : 0));
+  const charges = calculateCharges(
+    lines,
+    goodsTotal,
+    { country: details.country, region: details.region },
+    { freeShipping: Boolean(discount && discount.freeShipping), money }
+  );
+
+  return {
+    lines,
+    currency: money.currency,
+    exchangeRate: money.rate,
+    subtotal,
+    discount,
+    ...charges,
+    totalPrice: roundMoney(goodsTotal + charges.shipping + charges.tax),
+  };
+}
+
+module.exports = quoteOrder;
@@ -0,0 +1,38 @@
+// Order lifecycle: Pending -> Paid -> Processing -> Shipped -> Delivered,
+// with Cancelled and Refunded as the ways out.
+const ORDER_STATUS = {
+  PENDING: "Pending",
+  PAID: "Paid",
+  PROCESSING: "Processing",
+  SHIPPED: "Shipped",
+  DELIVERED: "Delivered",
+  CANCELLED: "Cancelled",
+  REFUNDED: "Refunded",
+};
+
+const TRANSITIONS = {
+  Pending: ["Paid", "Cancelled"],
+  Paid: ["Processing", "Cancelled", "Refunded"],
+  Processing: ["Shipped", "Cancelled", "Refunded"],
+  Shipped: ["Delivered", "Refunded"],
+  Delivered: ["Refunded"],
+  Cancelled: [],
+  Refunded: [],
+};
+
+// Statuses in which the units are reserved but have not left the warehouse
+const STOCK_HELD_STATUSES = ["Pending", "Paid", "Processing"];
+
+// Statuses of orders that have been paid and not given back: they prove a
+// purchase and count as revenue
+const PAID_STATUSES = ["Paid", "Processing", "Shipped", "Delivered"];
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+exports.ORDER_STATUS = ORDER_STATUS;
+exports.TRANSITIONS = TRANSITIONS;
+exports.STOCK_HELD_STATUSES = STOCK_HELD_STATUSES;
+exports.PAID_STATUSES = PAID_STATUSES;
+exports.canTransition = canTransition;
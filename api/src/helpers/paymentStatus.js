@@ -0,0 +1,29 @@
+// Payment attempt: pending -> authorized -> partially_captured -> captured,
+// or failed / cancelled.
+const PAYMENT_STATUS = {
+  PENDING: "pending",
+  AUTHORIZED: "authorized",
+  PARTIALLY_CAPTURED: "partially_captured",
+  CAPTURED: "captured",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// Attempts that can still capture money
+const OPEN_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.PENDING,
+  PAYMENT_STATUS.AUTHORIZED,
+  PAYMENT_STATUS.PARTIALLY_CAPTURED,
+];
+
+// Order.paymentStatus, summary of all the attempts of the order
+const ORDER_PAYMENT_STATUS = {
+  UNPAID: "unpaid",
+  PARTIALLY_PAID: "partially_paid",
+  PAID: "paid",
+  FAILED: "failed",
+};
+
+exports.PAYMENT_STATUS = PAYMENT_STATUS;
+exports.OPEN_PAYMENT_STATUSES = OPEN_PAYMENT_STATUSES;
+exports.ORDER_PAYMENT_STATUS = ORDER_PAYMENT_STATUS;
@@ -0,0 +1,223 @@
+const { Order } = require("../models/order");
+const { Payment } = require("../models/payment");
+const { getProvider } = require("./paymentProviders");
+const changeOrderStatus = require("./changeOrderStatus");
+const { roundMoney } = require("./pricing");
+const { ORDER_STATUS, canTransition } = require("./orderStatus");
+const {
+  PAYMENT_STATUS,
+  OPEN_PAYMENT_STATUSES,
+  ORDER_PAYMENT_STATUS,
+} = require("./paymentStatus");
+const { httpError } = require("./errors");
+const { recordAudit } = require("./audit");
+const { AUDITED_ENTITIES } = require("./auditActions");
+
+const EVENT_TYPES = [
+  "payment.authorized",
+  "payment.captured",
+  "payment.failed",
+  "payment.cancelled",
+];
+
+function paymentError(message, status) {
+  return httpError(status || 400, message);
+}
+
+function paymentInProgress() {
+  return paymentError("The order already has a payment in progress", 409);
+}
+
+// Starts a new payment attempt for what is still owed on a pending order.
+// Only one attempt can be open at a time; failed ones can be retried.
+//
+// A new attempt is only created after the last one closed, and takes the
+// next number. (order, attempt) is unique, so of two concurrent calls that
+// both saw the last attempt closed, only one can save the next attempt.
+async function startPayment(order, req) {
+  if (order.status !== ORDER_STATUS.PENDING) {
+    throw paymentError("Only pending orders can be paid", 409);
+  }
+  const last = await Payment.findOne({ order: order._id }).sort({
+    attempt: -1,
+  });
+  if (last && OPEN_PAYMENT_STATUSES.includes(last.status)) {
+    throw paymentInProgress();
+  }
+
+  const amount = roundMoney(order.totalPrice - order.amountPaid);
+  if (amount <= 0) throw paymentError("The order is already paid", 409);
+
+  const provider = getProvider();
+  let payment;
+  try {
+    payment = await new Payment({
+      order: order._id,
+      attempt: last ? last.attempt + 1 : 1,
+      provider: provider.name,
+      amount,
+      currency: order.currency,
+    }).save();
+  } catch (error) {
+    if (error.code === 11000) throw paymentInProgress();
+    throw error;
+  }
+
+  try {
+    const result = await provider.createPayment({
+      paymentId: payment.id,
+      orderId: order.id,
+      amount,
+      currency: order.currency,
+    });
+    payment.set({
+      reference: result.reference,
+      status: result.status || PAYMENT_STATUS.PENDING,
+      clientData: result.clientData,
+    });
+  } catch (error) {
+    console.error(error);
+    payment.set({
+      status: PAYMENT_STATUS.FAILED,
+      failureReason: "The payment provider rejected the payment",
+    });
+  }
+  payment.dateUpdated = Date.now();
+  await payment.save();
+
+  if (payment.status === PAYMENT_STATUS.FAILED) {
+    await updateOrderPayment(order._id, req);
+    throw paymentError("The payment provider is not available", 502);
+  }
+  return payment;
+}
+
+// Recomputes Order.amountPaid and Order.paymentStatus from all the attempts
+// (failed when the last one failed), and moves the order to Paid once it is
+// fully captured. The change is audited as made by req.
+async function updateOrderPayment(orderId, req) {
+  const payments = await Payment.find({ order: orderId }).sort({ attempt: 1 });
+  const amountPaid = roundMoney(
+    payments.reduce((sum, payment) => sum + payment.amountCaptured, 0)
+  );
+
+  const order = await Order.findById(orderId);
+  if (!order) return null;
+
+  let paymentStatus = ORDER_PAYMENT_STATUS.UNPAID;
+  if (amountPaid >= order.totalPrice) {
+    paymentStatus = ORDER_PAYMENT_STATUS.PAID;
+  } else if (amountPaid > 0) {
+    paymentStatus = ORDER_PAYMENT_STATUS.PARTIALLY_PAID;
+  } else if (
+    payments.length > 0 &&
+    payments[payments.length - 1].status === PAYMENT_STATUS.FAILED
+  ) {
+    paymentStatus = ORDER_PAYMENT_STATUS.FAILED;
+  }
+
+  await Order.updateOne({ _id: order._id }, { amountPaid, paymentStatus });
+
+  if (
+    paymentStatus === ORDER_PAYMENT_STATUS.PAID &&
+    canTransition(order.status, ORDER_STATUS.PAID)
+  ) {
+    await changeOrderStatus(order, ORDER_STATUS.PAID, {
+      note: "Payment captured",
+    });
+  }
+  await recordAudit(
+    req,
+    AUDITED_ENTITIES.ORDER,
+    order,
+    await Order.findById(order._id)
+  );
+  return paymentStatus;
+}
+
+function nextStatus(payment, event) {
+  switch (event.type) {
+    case "payment.authorized":
+      return payment.status === PAYMENT_STATUS.PENDING
+        ? PAYMENT_STATUS.AUTHORIZED
+        : payment.status;
+    case "payment.captured":
+      return payment.amountCaptured >= payment.amount
+        ? PAYMENT_STATUS.CAPTURED
+        : PAYMENT_STATUS.PARTIALLY_CAPTURED;
+    // What was captured before stays in amountCaptured and counts towards
+    // the order, a retry only asks for the rest
+    case "payment.failed":
+      return PAYMENT_STATUS.FAILED;
+    case "payment.cancelled":
+      return PAYMENT_STATUS.CANCELLED;
+    default:
+      return payment.status;
+  }
+}
+
+/**
+ * Applies a verified webhook event to its payment and order. Each event id
+ * is applied once, so redelivered events are acknowledged without changes.
+ * A capture without amount captures what is left of the payment.
+ *
+ * Returns { payment, duplicate }. req is the author of the order changes in
+ * the audit log, see systemRequest in helpers/audit.js.
+ */
+async function applyPaymentEvent(providerName, event, req) {
+  if (!EVENT_TYPES.includes(event.type)) {
+    throw paymentError(`Unknown payment event: ${event.type}`);
+  }
+  const payment = await Payment.findOne({
+    provider: providerName,
+    reference: event.reference,
+  });
+  if (!payment) throw paymentError("Payment not found", 404);
+
+  const captured =
+    event.type === "payment.captured"
+      ? roundMoney(
+          event.amount !== undefined
+            ? event.amount
+            : payment.amount - payment.amountCaptured
+        )
+      : 0;
+  if (!Number.isFinite(captured) || captured < 0) {
+    throw paymentError("Captured amount must be a positive number");
+  }
+
+  // Claims the event and adds the capture in one conditional update
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, "events.eventId": { $ne: event.id } },
+    {
+      $push: {
+        events: { eventId: event.id, type: event.type, amount: event.amount },
+      },
+      $inc: { amountCaptured: captured },
+    },
+    { new: true }
+  );
+  if (!claimed) return { payment, duplicate: true };
+
+  // Skipped if another capture landed meanwhile, its own update sets the
+  // status for the newer amount
+  const update = {
+    status: nextStatus(claimed, event),
+    dateUpdated: Date.now(),
+  };
+  if (event.type === "payment.failed") {
+    update.failureReason = event.reason || "Payment failed";
+  }
+  await Payment.updateOne(
+    { _id: claimed._id, amountCaptured: claimed.amountCaptured },
+    update
+  );
+  claimed.set(update);
+
+  await updateOrderPayment(claimed.order, req);
+  return { payment: claimed, duplicate: false };
+}
+
+exports.startPayment = startPayment;
+exports.updateOrderPayment = updateOrderPayment;
+exports.applyPaymentEvent = applyPaymentEvent;
@@ -0,0 +1,94 @@
+const { Order } = require("../models/order");
+const { OrderItems } = require("../models/order-item");
+const { reserveStock, releaseStock } = require("./stock");
+const { redeemCoupon, releaseCoupon } = require("./coupons");
+const quoteOrder = require("./orderQuote");
+const { ORDER_STATUS } = require("./orderStatus");
+
+// Creates the OrderItems and the Order for a list of { product, variant,
+// quantity } lines at the prices of quoteOrder, reserving the stock of every line.
+// Used by POST /orders and by the cart checkout.
+async function placeOrder(items, details) {
+  const quote = await quoteOrder(items, details);
+  const { lines, discount } = quote;
+
+  const order = new Order({
+    shippingAddress1: details.shippingAddress1,
+    shippingAddress2: details.shippingAddress2,
+    city: details.city,
+    zip: details.zip,
+    country: details.country,
+    region: details.region,
+    phone: details.phone,
+    status: ORDER_STATUS.PENDING,
+    statusHistory: [
+      {
+        status: ORDER_STATUS.PENDING,
+        actor: details.user,
+        note: "Order placed",
+      },
+    ],
+    currency: quote.currency,
+    exchangeRate: quote.exchangeRate,
+    subtotal: quote.subtotal,
+    discount,
+    tax: quote.tax,
+    taxRate: quote.taxRate,
+    shipping: quote.shipping,
+    shippingZone: quote.shippingZone,
+    totalPrice: quote.totalPrice,
+    user: details.user,
+  });
+
+  // Reject invalid order data before touching the stock
+  await order.validate();
+
+  await reserveStock(lines);
+  if (discount) {
+    try {
+      await redeemCoupon(order);
+    } catch (error) {
+      await releaseStock(lines);
+      throw error;
+    }
+  }
+
+  const orderItems = lines.map((line) => {
+    const variant = line.variant;
+    const lineDiscount = discount
+      ? discount.items.find(
+          (item) =>
+            item.product.toString() === line.product.id &&
+            String(item.variant) === String(variant ? variant._id : null)
+        )
+      : null;
+    return new OrderItems({
+      quantity: line.quantity,
+      product: line.product._id,
+      variant: variant ? variant._id : null,
+      name: line.product.name,
+      options: variant ? variant.options : undefined,
+      image: (variant && variant.images[0]) || line.product.image,
+      sku: variant ? variant.sku : line.product.sku,
+      category: line.product.category,
+      unitPrice: line.unitPrice,
+      lineTotal: line.lineTotal,
+      discount: lineDiscount ? lineDiscount.amount : 0,
+    });
+  });
+  const orderItemIds = orderItems.map((orderItem) => orderItem._id);
+
+  try {
+    await OrderItems.insertMany(orderItems);
+
+    order.orderItems = orderItemIds;
+    return await order.save();
+  } catch (error) {
+    await OrderItems.deleteMany({ _id: { $in: orderItemIds } });
+    await releaseStock(lines);
+    await releaseCoupon(order);
+    throw error;
+  }
+}
+
+module.exports = placeOrder;
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const { Product } = require("../models/product");
+const { variantPrice } = require("./variants");
+const { BadRequestError } = require("./errors");
+const { NOT_DELETED } = require("./deletion");
+
+// Resolves the products (and variants) of a list of { product, variant,
+// quantity } lines and prices them with the current price of the product or
+// the variant, converted by money (see helpers/currency.js) into the
+// currency of the cart or order. Shared by carts and order placement so both
+// always agree on the amounts. Products with variants are only sold by
+// variant.
+async function priceItems(items, money) {
+  const lines = await Promise.all(
+    items.map(async (item) => {
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw pricingError(`Invalid quantity for product ${item.product}`);
+      }
+
+      const product = await Product.findOne({
+        _id: item.product,
+        ...NOT_DELETED,
+      }).select(
+        "name image sku price currency category weight options variants"
+      );
+      if (!product) {
+        throw pricingError(`Product ${item.product} not found`);
+      }
+
+      const variant = findVariant(product, item.variant);
+      const unitPrice = money.convert(
+        variantPrice(product, variant),
+        product.currency
+      );
+      return {
+        product,
+        variant,
+        quantity,
+        unitPrice,
+        lineTotal: roundMoney(unitPrice * quantity),
+      };
+    })
+  );
+
+  const subtotal = roundMoney(
+    lines.reduce((sum, line) => sum + line.lineTotal, 0)
+  );
+
+  return { lines, subtotal };
+}
+
+function findVariant(product, variantId) {
+  if (product.variants.length === 0) {
+    if (variantId) {
+      throw pricingError(`Product ${product.id} has no variants`);
+    }
+    return null;
+  }
+  if (!variantId) {
+    throw pricingError(`Choose a variant of product ${product.name}`);
+  }
+  const variant = mongoose.isValidObjectId(variantId)
+    ? product.variants.id(variantId)
+    : null;
+  if (!variant) {
+    throw pricingError(
+      `Variant ${variantId} of product ${product.id} not found`
+    );
+  }
+  return variant;
+}
+
+// Amounts are kept in currency units rounded to cents
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function pricingError(message) {
+  return new BadRequestError(message);
+}
+
+exports.priceItems = priceItems;
+exports.roundMoney = roundMoney;
+exports.pricingError = pricingError;
@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const { processImage } = require("./imageProcessing");
+const { getStorage } = require("./storage");
+
+/**
+ * Processes an uploaded image and stores all its variants. Returns the URL
+ * used in Product.image / Product.images (the large variant in the original
+ * format) and the entry for Product.imageVariants.
+ */
+async function storeProductImage(buffer, req) {
+  const storage = getStorage();
+  const outputs = await processImage(buffer);
+  const id = crypto.randomBytes(6).toString("hex");
+  const base = `products/${Date.now()}-${id}`;
+
+  const variants = {};
+  await Promise.all(
+    outputs.map(async (output) => {
+      const key = `${base}/${output.variant}.${output.format}`;
+      await storage.save(key, output.buffer, output.contentType);
+
+      const name =
+        output.format === "webp" ? `${output.variant}Webp` : output.variant;
+      variants[name] = storage.url(key, req);
+    })
+  );
+
+  // WebP uploads only have WebP variants
+  const url = variants.large || variants.largeWebp;
+  return { url, variants: { url, ...variants } };
+}
+
+// Deletes every stored file of an image: its variants when they are known,
+// the URL itself for images uploaded before the pipeline existed.
+async function removeProductImage(url, imageVariants) {
+  const storage = getStorage();
+  const entry = (imageVariants || []).find((item) => item.url === url);
+  const urls = entry
+    ? Object.values(entry.toObject ? entry.toObject() : entry).filter(
+        (value) => typeof value === "string"
+      )
+    : [url];
+
+  await Promise.all(
+    [...new Set(urls)].map((item) => {
+      const key = storage.keyFromUrl(item);
+      return key ? storage.remove(key) : null;
+    })
+  );
+}
+
+exports.storeProductImage = storeProductImage;
+exports.removeProductImage = removeProductImage;
@@ -0,0 +1,88 @@
+const { categoryIds, withDescendants } = require("./categoryTree");
+const { BadRequestError } = require("./errors");
+const { converter } = require("./currency");
+
+function queryError(message) {
+  return new BadRequestError(message);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseNumber(query, name) {
+  if (query[name] === undefined || query[name] === "") return undefined;
+  const value = Number(query[name]);
+  if (Number.isNaN(value)) throw queryError(`${name} must be a number`);
+  return value;
+}
+
+function parseBoolean(query, name) {
+  if (query[name] === undefined || query[name] === "") return undefined;
+  if (query[name] === "true") return true;
+  if (query[name] === "false") return false;
+  throw queryError(`${name} must be true or false`);
+}
+
+function parseList(query, name) {
+  if (!query[name]) return undefined;
+  return String(query[name])
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+// Turns the filters in the query string of GET /products into a Mongo
+// filter. Sorting and pagination are handled by ./listQuery. Throws a 400
+// error on malformed parameters.
+//
+// categories takes category IDs or slugs; with includeSubcategories=true the
+// products of their descendants match as well. minPrice and maxPrice are in
+// ?currency=, the base currency by default, and match the price of products
+// in any currency.
+async function buildProductFilter(query) {
+  const filter = {};
+
+  const categories = parseList(query, "categories");
+  if (categories) {
+    let ids = await categoryIds(categories);
+    if (parseBoolean(query, "includeSubcategories")) {
+      ids = await withDescendants(ids);
+    }
+    filter.category = { $in: ids };
+  }
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(String(query.search)), "i");
+    filter.$or = [
+      { name: pattern },
+      { description: pattern },
+      { brand: pattern },
+      { sku: pattern },
+    ];
+  }
+
+  const brands = parseList(query, "brand");
+  if (brands) filter.brand = { $in: brands };
+
+  const minPrice = parseNumber(query, "minPrice");
+  const maxPrice = parseNumber(query, "maxPrice");
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const money = await converter(query.currency);
+    filter.basePrice = {};
+    if (minPrice !== undefined) filter.basePrice.$gte = minPrice / money.rate;
+    if (maxPrice !== undefined) filter.basePrice.$lte = maxPrice / money.rate;
+  }
+
+  const minRating = parseNumber(query, "minRating");
+  if (minRating !== undefined) filter.rating = { $gte: minRating };
+
+  if (parseBoolean(query, "inStock")) filter.countInStock = { $gt: 0 };
+
+  const isFeatured = parseBoolean(query, "isFeatured");
+  if (isFeatured !== undefined) filter.isFeatured = isFeatured;
+
+  return filter;
+}
+
+exports.buildProductFilter = buildProductFilter;
@@ -0,0 +1,76 @@
+const { getRateLimitStore } = require("./rateLimitStore");
+const { TooManyRequestsError } = require("./errors");
+
+// Limits of the routes that create records or send emails, as the number of
+// requests allowed per window. Each one can be changed with
+// RATE_LIMIT_<NAME>=<max>/<seconds>, e.g. RATE_LIMIT_REGISTER=10/3600, and
+// turned off with RATE_LIMIT_<NAME>=0
+const DEFAULT_LIMITS = {
+  register: { max: 5, windowMs: 60 * 60 * 1000 },
+  email: { max: 5, windowMs: 60 * 60 * 1000 },
+  orders: { max: 10, windowMs: 10 * 60 * 1000 },
+};
+
+// Read on every call: this module can be loaded before dotenv runs in app.js
+function limitFor(name, env = process.env) {
+  const variable = `RATE_LIMIT_${name.toUpperCase()}`;
+  const value = env[variable];
+  if (!value) return DEFAULT_LIMITS[name];
+
+  const [max, seconds] = value.split("/").map(Number);
+  if (!Number.isInteger(max) || max < 0 || (max > 0 && !(seconds > 0))) {
+    throw new Error(`Invalid ${variable}: ${value}, expected <max>/<seconds>`);
+  }
+  return { max, windowMs: seconds * 1000 };
+}
+
+function secondsUntil(time) {
+  return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+}
+
+function clientIp(req) {
+  return req.ip;
+}
+
+// For the routes that require a logged in user
+function authUser(req) {
+  return `user:${req.auth.userId}`;
+}
+
+/**
+ * Middleware that answers 429 once a client goes over the limit `name` of
+ * DEFAULT_LIMITS. Clients are told apart by IP unless `key(req)` says
+ * otherwise, e.g. by user. The RateLimit-* headers tell them how many
+ * requests they have left.
+ */
+function rateLimit(name, { key = clientIp } = {}) {
+  return async (req, res, next) => {
+    try {
+      const { max, windowMs } = limitFor(name);
+      if (!max) return next();
+
+      const { count, resetAt } = await getRateLimitStore().increment(
+        `${name}:${key(req)}`,
+        windowMs
+      );
+      const reset = secondsUntil(resetAt);
+      res.set({
+        "RateLimit-Limit": max,
+        "RateLimit-Remaining": Math.max(0, max - count),
+        "RateLimit-Reset": reset,
+      });
+      if (count > max) {
+        return next(new TooManyRequestsError(undefined, { retryAfter: reset }));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
+exports.limitFor = limitFor;
+exports.secondsUntil = secondsUntil;
+exports.authUser = authUser;
+exports.rateLimit = rateLimit;
@@ -0,0 +1,146 @@
+// Counters of the rate limits. Every store exposes:
+//   increment(key, windowMs)  adds one hit, the window starts with the first
+//                             one; resolves to { count, resetAt }
+//   get(key)                  { count, resetAt } or null if there is none
+//   decrement(key)            takes one hit back, if the counter still exists
+//   reset(key)                forgets the counter
+// resetAt is the time in ms when the counter expires.
+// RATE_LIMIT_STORE picks one: "memory" (default) or "redis". The memory store
+// is per process, use Redis when the API runs on several instances.
+
+function memoryStore() {
+  const counters = new Map();
+  const current = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+  // Expired counters nobody asks for again are dropped every minute
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      let counter = current(key);
+      if (!counter) {
+        counter = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { ...counter };
+    },
+    get: async (key) => {
+      const counter = current(key);
+      return counter ? { ...counter } : null;
+    },
+    decrement: async (key) => {
+      const counter = current(key);
+      if (counter && counter.count > 0) counter.count -= 1;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+  };
+}
+
+// The counter and its expiry are set in one step, so a crash between both
+// can never leave a counter that does not expire
+const INCREMENT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl < 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }`;
+
+const GET_SCRIPT = `
+local count = redis.call("GET", KEYS[1])
+if not count then return false end
+return { tonumber(count), redis.call("PTTL", KEYS[1]) }`;
+
+// DECR on a missing key would create one that never expires
+const DECREMENT_SCRIPT = `
+if redis.call("GET", KEYS[1]) then redis.call("DECR", KEYS[1]) end
+return 0`;
+
+// Works with any client of Redis or a compatible server (Valkey, KeyDB...)
+// that sends raw commands: ioredis (call) or node-redis 4 (sendCommand)
+function redisStore(client, prefix = "ratelimit:") {
+  const command = (...args) =>
+    typeof client.call === "function"
+      ? client.call(...args)
+      : client.sendCommand(args.map(String));
+  const counterOf = (reply) =>
+    reply
+      ? { count: Number(reply[0]), resetAt: Date.now() + Number(reply[1]) }
+      : null;
+
+  return {
+    name: "redis",
+    increment: async (key, windowMs) =>
+      counterOf(
+        await command("EVAL", INCREMENT_SCRIPT, 1, prefix + key, windowMs)
+      ),
+    get: async (key) =>
+      counterOf(await command("EVAL", GET_SCRIPT, 1, prefix + key)),
+    decrement: async (key) => {
+      await command("EVAL", DECREMENT_SCRIPT, 1, prefix + key);
+    },
+    reset: async (key) => {
+      await command("DEL", prefix + key);
+    },
+  };
+}
+
+function createRateLimitStore(env = process.env) {
+  switch (env.RATE_LIMIT_STORE || "memory") {
+    case "memory":
+      return memoryStore();
+    case "redis": {
+      // Optional dependency, only needed with this store
+      let Redis;
+      try {
+        Redis = require("ioredis");
+      } catch (error) {
+        throw new Error(
+          'RATE_LIMIT_STORE=redis needs the "ioredis" package: npm install ioredis'
+        );
+      }
+      return redisStore(
+        new Redis(env.REDIS_URL || "redis://localhost:6379"),
+        env.RATE_LIMIT_PREFIX
+      );
+    }
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${env.RATE_LIMIT_STORE}`);
+  }
+}
+
+let store;
+
+// The configured store, created on first use
+function getRateLimitStore() {
+  if (!store) store = createRateLimitStore();
+  return store;
+}
+
+// Lets tests, or an app that already has a Redis client, plug in a store
+function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+exports.memoryStore = memoryStore;
+exports.redisStore = redisStore;
+exports.createRateLimitStore = createRateLimitStore;
+exports.getRateLimitStore = getRateLimitStore;
+exports.setRateLimitStore = setRateLimitStore;
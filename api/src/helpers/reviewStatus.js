@@ -0,0 +1,12 @@
+// New and edited reviews wait for a moderator, who approves or hides them.
+const REVIEW_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  HIDDEN: "hidden",
+};
+
+// Statuses a moderator can set
+const MODERATION_STATUSES = [REVIEW_STATUS.APPROVED, REVIEW_STATUS.HIDDEN];
+
+exports.REVIEW_STATUS = REVIEW_STATUS;
+exports.MODERATION_STATUSES = MODERATION_STATUSES;
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const { Order } = require("../models/order");
+const { OrderItems } = require("../models/order-item");
+const { Product } = require("../models/product");
+const { Review } = require("../models/review");
+const { PAID_STATUSES } = require("./orderStatus");
+const { REVIEW_STATUS } = require("./reviewStatus");
+
+// True when the user has a paid order of the product that was not given back
+async function hasPurchased(userId, productId) {
+  const orders = await Order.find({
+    user: userId,
+    status: { $in: PAID_STATUSES },
+  }).select("orderItems");
+  const itemIds = orders.flatMap((order) => order.orderItems);
+  if (itemIds.length === 0) return false;
+
+  const item = await OrderItems.exists({
+    _id: { $in: itemIds },
+    product: productId,
+  });
+  return Boolean(item);
+}
+
+// Recomputes Product.rating and Product.numReviews from the approved
+// reviews. Called after every change that can move the aggregate.
+async function updateProductRating(productId) {
+  const [stats] = await Review.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(productId.toString()),
+        status: REVIEW_STATUS.APPROVED,
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        rating: { $avg: "$rating" },
+        numReviews: { $sum: 1 },
+      },
+    },
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      rating: stats ? Math.round(stats.rating * 10) / 10 : 0,
+      numReviews: stats ? stats.numReviews : 0,
+    }
+  );
+}
+
+exports.hasPurchased = hasPurchased;
+exports.updateProductRating = updateProductRating;
@@ -0,0 +1,133 @@
+const http = require("http");
+const mongoose = require("mongoose");
+const { ERROR_CODES, AppError, codeForStatus } = require("./errors");
+
+// Every error of the API is answered as an RFC 7807 problem:
+//
+//   Content-Type: application/problem+json
+//   { type, title, status, detail, instance, code, errors? }
+//
+// Application errors (helpers/errors.js) and the errors of the libraries
+// below are shown as they are. Anything else is a 500 whose message, like
+// any stack trace, is only sent outside production.
+
+function isProduction() {
+  return process.env.NODE_ENV === "production";
+}
+
+function fieldErrors(error) {
+  return Object.values(error.errors).map((fieldError) => ({
+    field: fieldError.path,
+    in: "body",
+    message: fieldError.message,
+  }));
+}
+
+// { status, code, detail, errors?, details? } of any error
+function describeError(error) {
+  if (error instanceof AppError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return {
+      status: 422,
+      code: ERROR_CODES.VALIDATION_FAILED,
+      detail: "Invalid data",
+      errors: fieldErrors(error),
+    };
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return {
+      status: 400,
+      code: ERROR_CODES.INVALID_ID,
+      detail: `Invalid value for ${error.path}`,
+      errors: [{ field: error.path, message: `must be a valid ${error.kind}` }],
+    };
+  }
+  // Unique index, e.g. a SKU or a slug already taken
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return {
+      status: 409,
+      code: ERROR_CODES.DUPLICATE,
+      detail: fields.length
+        ? `Another record has the same ${fields.join(", ")}`
+        : "Another record has the same value",
+    };
+  }
+  // Body parser
+  if (error.type === "entity.parse.failed") {
+    return {
+      status: 400,
+      code: ERROR_CODES.INVALID_JSON,
+      detail: "The request body is not valid JSON",
+    };
+  }
+  if (error.type === "entity.too.large" || error.code === "LIMIT_FILE_SIZE") {
+    return {
+      status: 413,
+      code: ERROR_CODES.PAYLOAD_TOO_LARGE,
+      detail: "The request is too large",
+    };
+  }
+  // express-jwt
+  if (error.name === "UnauthorizedError") {
+    return {
+      status: 401,
+      code: ERROR_CODES.INVALID_TOKEN,
+      detail: "Invalid or expired token",
+    };
+  }
+  // Multer and the older helpers that only set a status
+  if (error.name === "MulterError") {
+    return {
+      status: 400,
+      code: ERROR_CODES.BAD_REQUEST,
+      detail: error.message,
+    };
+  }
+  if (Number.isInteger(error.status) && error.status < 500) {
+    return {
+      status: error.status,
+      code: codeForStatus(error.status),
+      detail: error.message,
+      errors: error.errors,
+    };
+  }
+
+  return {
+    status: 500,
+    code: ERROR_CODES.INTERNAL_ERROR,
+    detail: isProduction() ? "Internal Server Error" : error.message,
+    internal: true,
+  };
+}
+
+// The problem document of an error for the request req
+function problemDetails(error, req) {
+  const described = describeError(error);
+  const status = described.status;
+  const problem = {
+    ...(described.details || {}),
+    type: "about:blank",
+    title: http.STATUS_CODES[status] || "Error",
+    status,
+    detail: described.detail || described.message,
+    instance: req ? req.originalUrl : undefined,
+    code: described.code,
+  };
+  if (described.errors) problem.errors = described.errors;
+  if (described.internal && !isProduction()) problem.stack = error.stack;
+  return problem;
+}
+
+function sendError(res, error) {
+  const problem = problemDetails(error, res.req);
+  if (problem.status >= 500) console.error(error);
+  // Once a response has started, like a streamed export, there is no status
+  // left to send: the connection is cut so the client sees it failed
+  if (res.headersSent) return res.destroy(error);
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(problem.status).type("application/problem+json").json(problem);
+}
+
+module.exports = sendError;
@@ -0,0 +1,11 @@
+// URL friendly version of a name: "Ropa de Niños" -> "ropa-de-ninos"
+function slugify(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+module.exports = slugify;
@@ -0,0 +1,123 @@
+const { Product } = require("../models/product");
+const { OrderItems } = require("../models/order-item");
+const { lineVariantId } = require("./variants");
+const { ERROR_CODES, ConflictError } = require("./errors");
+
+// Conditional update taking quantity units of the line. For a variant the
+// units come from the variant and from the product total in the same update.
+function takeUnits(line) {
+  const productId = line.product._id || line.product;
+  const variantId = lineVariantId(line);
+  if (!variantId) {
+    return Product.updateOne(
+      { _id: productId, countInStock: { $gte: line.quantity } },
+      { $inc: { countInStock: -line.quantity } }
+    );
+  }
+  return Product.updateOne(
+    {
+      _id: productId,
+      variants: {
+        $elemMatch: { _id: variantId, countInStock: { $gte: line.quantity } },
+      },
+    },
+    {
+      $inc: {
+        countInStock: -line.quantity,
+        "variants.$.countInStock": -line.quantity,
+      },
+    }
+  );
+}
+
+// Units left of the product or variant of a line
+async function availableUnits(line) {
+  const product = await Product.findById(line.product._id).select(
+    "countInStock variants"
+  );
+  if (!product) return 0;
+  const variantId = lineVariantId(line);
+  if (!variantId) return product.countInStock;
+  const variant = product.variants.id(variantId);
+  return variant ? variant.countInStock : 0;
+}
+
+// Decrements countInStock for every line with a conditional update so two
+// orders can never take the same unit. If any line is short, the lines
+// already reserved are put back and the whole order is rejected.
+async function reserveStock(lines) {
+  const reserved = [];
+  const shortages = [];
+
+  for (const line of lines) {
+    const result = await takeUnits(line);
+
+    if (result.modifiedCount === 1) {
+      reserved.push(line);
+    } else {
+      shortages.push({
+        product: line.product._id,
+        variant: lineVariantId(line),
+        name: line.product.name,
+        sku: line.variant ? line.variant.sku : line.product.sku,
+        requested: line.quantity,
+        available: await availableUnits(line),
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    await releaseStock(reserved);
+    throw new ConflictError("Insufficient stock for some order items", {
+      code: ERROR_CODES.INSUFFICIENT_STOCK,
+      errors: shortages,
+    });
+  }
+}
+
+// Puts the quantities of the given { product, variant, quantity } lines back
+// in stock. Units of a variant deleted meanwhile are not put back.
+async function releaseStock(lines) {
+  await Promise.all(
+    lines
+      .filter((line) => line.product)
+      .map((line) => {
+        const productId = line.product._id || line.product;
+        const variantId = lineVariantId(line);
+        if (!variantId) {
+          return Product.updateOne(
+            { _id: productId },
+            { $inc: { countInStock: line.quantity } }
+          );
+        }
+        return Product.updateOne(
+          { _id: productId, "variants._id": variantId },
+          {
+            $inc: {
+              countInStock: line.quantity,
+              "variants.$.countInStock": line.quantity,
+            },
+          }
+        );
+      })
+  );
+}
+
+// Recomputes the stock of a product as the total of its variants after they
+// change, on the server so concurrent reservations are not overwritten
+async function syncVariantStock(productId) {
+  await Product.updateOne({ _id: productId }, [
+    { $set: { countInStock: { $sum: "$variants.countInStock" } } },
+  ]);
+}
+
+// Puts the items of an order back in stock.
+async function releaseOrderStock(order) {
+  const orderItems = await OrderItems.find({ _id: { $in: order.orderItems } });
+  await releaseStock(orderItems);
+}
+
+exports.reserveStock = reserveStock;
+exports.releaseStock = releaseStock;
+exports.syncVariantStock = syncVariantStock;
+exports.releaseOrderStock = releaseOrderStock;
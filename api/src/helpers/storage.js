@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Every storage exposes:
+//   save(key, buffer, contentType)  stores the object
+//   remove(key)                     deletes it, missing objects are ignored
+//   url(key, req)                   public URL of the object
+//   keyFromUrl(url)                 inverse of url(), null if not ours
+// STORAGE_DRIVER picks one: "local" (default) or "s3".
+
+const LOCAL_PREFIX = "/public/uploads/";
+
+function localStorage(directory) {
+  return {
+    name: "local",
+    save: async (key, buffer) => {
+      const filePath = path.join(directory, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    remove: async (key) => {
+      await fs.promises.unlink(path.join(directory, key)).catch((error) => {
+        if (error.code !== "ENOENT") throw error;
+      });
+    },
+    url: (key, req) =>
+      `${req.protocol}://${req.get("host")}${LOCAL_PREFIX}${key}`,
+    keyFromUrl: (url) => {
+      const pathname = new URL(url, "http://localhost").pathname;
+      if (!pathname.startsWith(LOCAL_PREFIX)) return null;
+      const key = path.posix.normalize(pathname.slice(LOCAL_PREFIX.length));
+      return key.startsWith("..") ? null : key;
+    },
+  };
+}
+
+// Works with AWS S3 and S3-compatible servers such as MinIO
+function s3Storage(options) {
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint,
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.accessKeyId
+      ? {
+          accessKeyId: options.accessKeyId,
+          secretAccessKey: options.secretAccessKey,
+        }
+      : undefined,
+  });
+  const publicUrl = options.publicUrl.replace(/\/$/, "");
+
+  return {
+    name: "s3",
+    save: async (key, buffer, contentType) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: options.bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+    },
+    remove: async (key) => {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: options.bucket, Key: key })
+      );
+    },
+    url: (key) => `${publicUrl}/${key}`,
+    keyFromUrl: (url) =>
+      url.startsWith(`${publicUrl}/`) ? url.slice(publicUrl.length + 1) : null,
+  };
+}
+
+function createStorage(env = process.env) {
+  switch (env.STORAGE_DRIVER || "local") {
+    case "local":
+      return localStorage(
+        env.UPLOAD_DIR || path.join(__dirname, "..", "..", "public", "uploads")
+      );
+    case "s3": {
+      const endpoint = env.S3_ENDPOINT || undefined;
+      return s3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION || "us-east-1",
+        endpoint,
+        forcePathStyle: Boolean(endpoint),
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        publicUrl:
+          env.S3_PUBLIC_URL ||
+          (endpoint
+            ? `${endpoint}/${env.S3_BUCKET}`
+            : `https://${env.S3_BUCKET}.s3.amazonaws.com`),
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${env.STORAGE_DRIVER}`);
+  }
+}
+
+let storage;
+
+// The configured storage, created on first use
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+// Lets tests plug in their own storage
+function setStorage(customStorage) {
+  storage = customStorage;
+}
+
+exports.localStorage = localStorage;
+exports.s3Storage = s3Storage;
+exports.createStorage = createStorage;
+exports.getStorage = getStorage;
+exports.setStorage = setStorage;
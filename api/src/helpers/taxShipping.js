@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+const { roundMoney } = require("./pricing");
+const { BadRequestError } = require("./errors");
+
+// Tax and shipping rules by destination. The defaults live in
+// src/config/pricing-rules.json, PRICING_RULES_FILE points to another file.
+//
+//   tax.countries[COUNTRY].rate              rate of the country (0.21 = 21%)
+//   tax.countries[COUNTRY].regions[REGION]   rate of a region, overrides it
+//   tax.shippingTaxable                      whether shipping is taxed too
+//   shipping.zones[]                         first zone listing the country,
+//                                            or "*", applies
+//   zone.method                              "weight" (kg) or "value" (amount)
+//   zone.rates[]                             { upTo, price }, upTo null = rest
+//   zone.freeShippingThreshold               order value with free shipping
+const DEFAULT_RULES_FILE = path.join(
+  __dirname,
+  "..",
+  "config",
+  "pricing-rules.json"
+);
+
+let rules;
+
+function loadRules(file = process.env.PRICING_RULES_FILE || DEFAULT_RULES_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// The configured rules, read on first use
+function getRules() {
+  if (!rules) rules = loadRules();
+  return rules;
+}
+
+// Lets tests plug in their own rules
+function setRules(customRules) {
+  rules = customRules;
+}
+
+function chargesError(message) {
+  return new BadRequestError(message);
+}
+
+function normalize(value) {
+  return String(value || "").trim().toUpperCase();
+}
+
+function taxRateFor(destination) {
+  const tax = getRules().tax || {};
+  const country = (tax.countries || {})[normalize(destination.country)];
+  if (!country) return tax.defaultRate || 0;
+
+  const region = (country.regions || {})[normalize(destination.region)];
+  return region !== undefined ? region : country.rate || 0;
+}
+
+function shippingZoneFor(destination) {
+  const country = normalize(destination.country);
+  const zones = getRules().shipping.zones;
+  return (
+    zones.find((zone) => zone.countries.map(normalize).includes(country)) ||
+    zones.find((zone) => zone.countries.includes("*"))
+  );
+}
+
+// Weight limits are in kg, value limits and prices in the base currency
+function shippingRate(zone, measure, fromBase) {
+  const limit = (upTo) => (zone.method === "weight" ? upTo : fromBase(upTo));
+  const rate =
+    zone.rates.find(
+      (item) => item.upTo === null || measure <= limit(item.upTo)
+    ) || zone.rates[zone.rates.length - 1];
+  return fromBase(rate.price);
+}
+
+/**
+ * Tax and shipping of the priced lines sent to destination
+ * ({ country, region }). goodsTotal is the subtotal after discounts; it is
+ * the base of the tax and of value based shipping. options.freeShipping
+ * comes from a free shipping coupon. The amounts of the rules are in the
+ * base currency, options.money converts them into the currency of the lines.
+ *
+ * Returns { tax, taxRate, shipping, shippingZone }.
+ */
+function calculateCharges(lines, goodsTotal, destination, options = {}) {
+  const fromBase = options.money ? options.money.fromBase : (amount) => amount;
+  if (!destination.country) throw chargesError("country is required");
+
+  const zone = shippingZoneFor(destination);
+  if (!zone) {
+    throw chargesError(`We do not ship to ${destination.country}`);
+  }
+
+  let shipping = 0;
+  const freeByThreshold =
+    zone.freeShippingThreshold !== null &&
+    zone.freeShippingThreshold !== undefined &&
+    goodsTotal >= fromBase(zone.freeShippingThreshold);
+  if (!options.freeShipping && !freeByThreshold) {
+    const measure =
+      zone.method === "weight"
+        ? lines.reduce(
+            (sum, line) => sum + (line.product.weight || 0) * line.quantity,
+            0
+          )
+        : goodsTotal;
+    shipping = shippingRate(zone, measure, fromBase);
+  }
+
+  const taxRules = getRules().tax || {};
+  const taxRate = taxRateFor(destination);
+  const taxBase = goodsTotal + (taxRules.shippingTaxable ? shipping : 0);
+
+  return {
+    tax: roundMoney(taxBase * taxRate),
+    taxRate,
+    shipping: roundMoney(shipping),
+    shippingZone: zone.name,
+  };
+}
+
+exports.loadRules = loadRules;
+exports.getRules = getRules;
+exports.setRules = setRules;
+exports.calculateCharges = calculateCharges;
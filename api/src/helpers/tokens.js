@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { RefreshToken } = require("../models/refresh-token");
+const { roleOf } = require("./authorize");
+
+// Read on every call: this module is loaded before dotenv runs in app.js
+function accessTokenExpiresIn() {
+  return process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+}
+
+function refreshTokenExpiresDays() {
+  return Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { userId: user.id, role: roleOf(user), sid: session.toString() },
+    process.env.secret,
+    { expiresIn: accessTokenExpiresIn() }
+  );
+}
+
+async function createRefreshToken(user, session, req) {
+  const token = crypto.randomBytes(48).toString("hex");
+  const refreshToken = await new RefreshToken({
+    user: user._id,
+    session,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(
+      Date.now() + refreshTokenExpiresDays() * 24 * 60 * 60 * 1000
+    ),
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+  }).save();
+
+  return { token, refreshToken };
+}
+
+// Starts a new session for the user and returns its first token pair
+async function issueTokens(user, req) {
+  const session = new mongoose.Types.ObjectId();
+  const { token: refreshToken } = await createRefreshToken(user, session, req);
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: accessTokenExpiresIn(),
+  };
+}
+
+// Exchanges a refresh token for a new pair. Each refresh token works once:
+// presenting one that was already rotated means it leaked, so the whole
+// session is revoked. Returns null when the token cannot be used.
+async function rotateRefreshToken(token, loadUser, req) {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!current || current.expiresAt < new Date()) return null;
+
+  if (current.revokedAt) {
+    if (current.replacedBy) await revokeSession(current.session);
+    return null;
+  }
+
+  const user = await loadUser(current.user);
+  if (!user) {
+    await revokeSession(current.session);
+    return null;
+  }
+
+  const { token: refreshToken, refreshToken: next } = await createRefreshToken(
+    user,
+    current.session,
+    req
+  );
+
+  // Conditional update so two concurrent refreshes cannot both win
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: next._id }
+  );
+  if (!rotated) {
+    await revokeSession(current.session);
+    return null;
+  }
+
+  return {
+    token: signAccessToken(user, current.session),
+    refreshToken,
+    expiresIn: accessTokenExpiresIn(),
+  };
+}
+
+async function revokeSession(session) {
+  await RefreshToken.updateMany(
+    { session, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+async function revokeRefreshToken(token) {
+  const refreshToken = await RefreshToken.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (!refreshToken) return false;
+
+  await revokeSession(refreshToken.session);
+  return true;
+}
+
+async function revokeAllSessions(userId) {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+// A session is alive while it still has a usable refresh token
+async function isSessionActive(session) {
+  if (!mongoose.isValidObjectId(session)) return false;
+  const active = await RefreshToken.exists({
+    session,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(active);
+}
+
+exports.issueTokens = issueTokens;
+exports.rotateRefreshToken = rotateRefreshToken;
+exports.revokeSession = revokeSession;
+exports.revokeRefreshToken = revokeRefreshToken;
+exports.revokeAllSessions = revokeAllSessions;
+exports.isSessionActive = isSessionActive;
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { UserToken } = require("../models/user-token");
+
+const PURPOSES = {
+  VERIFY_EMAIL: "verify-email",
+  RESET_PASSWORD: "reset-password",
+};
+
+const EXPIRES_IN_SECONDS = {
+  "verify-email": 24 * 60 * 60,
+  "reset-password": 60 * 60,
+};
+
+// Issues a signed token for the purpose. Earlier tokens of the same user and
+// purpose stop working, so only the last email sent is valid.
+async function issueUserToken(user, purpose) {
+  const jti = crypto.randomUUID();
+  const expiresIn = EXPIRES_IN_SECONDS[purpose];
+
+  await UserToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+  await new UserToken({
+    user: user._id,
+    purpose,
+    jti,
+    expiresAt: new Date(Date.now() + expiresIn * 1000),
+  }).save();
+
+  return jwt.sign({ sub: user.id, purpose, jti }, process.env.secret, {
+    expiresIn,
+  });
+}
+
+// Verifies the signature, expiry and purpose of the token and marks it used.
+// Returns the user id, or null when the token cannot be used.
+async function consumeUserToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.secret, { algorithms: ["HS256"] });
+  } catch (error) {
+    return null;
+  }
+  if (payload.purpose !== purpose) return null;
+
+  const userToken = await UserToken.findOneAndUpdate(
+    { jti: payload.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  if (!userToken) return null;
+
+  return userToken.user;
+}
+
+exports.PURPOSES = PURPOSES;
+exports.issueUserToken = issueUserToken;
+exports.consumeUserToken = consumeUserToken;
@@ -0,0 +1,228 @@
+const sendError = require("./sendError");
+const { ValidationError } = require("./errors");
+
+// Request validation declared per route:
+//
+//   router.post("/", validate({ params, query, body }), handler)
+//
+// Each schema maps field names to rules:
+//
+//   type       string, number, integer, boolean, objectId, email, date,
+//              array or object
+//   required   the field must be present (an empty string counts as missing)
+//   nullable   null is accepted
+//   min, max   bounds of numbers, or length of strings and arrays
+//   enum       list of accepted values
+//   pattern    regular expression strings must match
+//   items      rule of the elements of an array
+//   properties schema of the fields of an object
+//
+// Query strings and multipart forms only carry strings, so numbers and
+// booleans are also accepted in their text form. Fields not in the schema
+// are ignored. An invalid path or query answers 400 and an invalid body 422,
+// both with every problem listed as { field, in, message }.
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isNumeric(value) {
+  if (typeof value === "number") return Number.isFinite(value);
+  return (
+    typeof value === "string" &&
+    value.trim() !== "" &&
+    Number.isFinite(Number(value))
+  );
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Message for a value that does not match its type, null when it matches
+function typeProblem(rule, value) {
+  switch (rule.type) {
+    case "string":
+      return typeof value === "string" || typeof value === "number"
+        ? null
+        : "must be a string";
+    case "number":
+      return isNumeric(value) ? null : "must be a number";
+    case "integer":
+      return isNumeric(value) && Number.isInteger(Number(value))
+        ? null
+        : "must be an integer";
+    case "boolean":
+      return [true, false, "true", "false"].includes(value)
+        ? null
+        : "must be true or false";
+    case "objectId":
+      return OBJECT_ID.test(String(value)) ? null : "must be a valid ID";
+    case "email":
+      return typeof value === "string" && EMAIL.test(value.trim())
+        ? null
+        : "must be a valid email address";
+    case "date":
+      return typeof value === "string" && !Number.isNaN(Date.parse(value))
+        ? null
+        : "must be a valid date";
+    case "array":
+      return Array.isArray(value) ? null : "must be an array";
+    case "object":
+      return isPlainObject(value) ? null : "must be an object";
+    default:
+      return null;
+  }
+}
+
+function boundsProblem(rule, value) {
+  let size = null;
+  let unit = "";
+  if (["number", "integer"].includes(rule.type)) {
+    size = Number(value);
+  } else if (typeof value === "string" || Array.isArray(value)) {
+    size = value.length;
+    unit = typeof value === "string" ? " characters" : " items";
+  }
+  if (size === null) return null;
+  if (rule.min !== undefined && size < rule.min) {
+    return unit
+      ? `must have at least ${rule.min}${unit}`
+      : `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    return unit
+      ? `must have at most ${rule.max}${unit}`
+      : `must be at most ${rule.max}`;
+  }
+  return null;
+}
+
+function checkValue(rule, value, field, location, errors) {
+  const fail = (message) => errors.push({ field, in: location, message });
+
+  if (value === undefined || (value === "" && rule.type !== "string")) {
+    if (rule.required) fail("is required");
+    return;
+  }
+  if (value === "" && rule.required) return fail("is required");
+  if (value === null) {
+    if (!rule.nullable) fail(rule.required ? "is required" : "cannot be null");
+    return;
+  }
+
+  const problem =
+    typeProblem(rule, value) ||
+    boundsProblem(rule, value) ||
+    (rule.enum && !rule.enum.includes(value)
+      ? `must be one of ${rule.enum.join(", ")}`
+      : null) ||
+    (rule.pattern && !rule.pattern.test(String(value))
+      ? "has an invalid format"
+      : null);
+  if (problem) return fail(problem);
+
+  if (rule.items) {
+    value.forEach((item, index) =>
+      checkValue(rule.items, item, `${field}[${index}]`, location, errors)
+    );
+  }
+  if (rule.properties) {
+    checkFields(rule.properties, value, `${field}.`, location, errors);
+  }
+}
+
+function checkFields(schema, data, prefix, location, errors) {
+  Object.entries(schema).forEach(([name, rule]) =>
+    checkValue(rule, data[name], `${prefix}${name}`, location, errors)
+  );
+}
+
+// Problems of a request against the schemas, [] when it is valid
+function validateRequest(schemas, req) {
+  const errors = [];
+  ["params", "query", "body"].forEach((location) => {
+    if (!schemas[location]) return;
+    const data = isPlainObject(req[location]) ? req[location] : {};
+    checkFields(schemas[location], data, "", location, errors);
+  });
+  return errors;
+}
+
+function validationError(errors) {
+  const inUrl = errors.some((error) => error.in !== "body");
+  return new ValidationError(
+    inUrl ? "Invalid request parameters" : "Invalid request body",
+    { status: inUrl ? 400 : 422, errors }
+  );
+}
+
+// The schema with none of its top-level fields required, for the updates
+// that only send the fields to change
+function optional(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([name, rule]) => [
+      name,
+      { ...rule, required: false },
+    ])
+  );
+}
+
+// Middleware rejecting the requests that do not match the schemas before
+// the route touches the database
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = validateRequest(schemas, req);
+    if (errors.length === 0) return next();
+    sendError(res, validationError(errors));
+  };
+}
+
+// Rules shared by many routes
+const objectId = { type: "objectId", required: true };
+const idParams = { id: objectId };
+
+// Soft deleted records, see helpers/deletion.js
+const deletedQuery = { includeDeleted: { type: "boolean" } };
+const deleteQuery = { permanent: { type: "boolean" } };
+
+// Lines of an order, priced by helpers/pricing.js
+const orderItems = {
+  type: "array",
+  required: true,
+  min: 1,
+  max: 100,
+  items: {
+    type: "object",
+    required: true,
+    properties: {
+      product: objectId,
+      variant: { type: "objectId" },
+      quantity: { type: "integer", required: true, min: 1 },
+    },
+  },
+};
+
+// Shipping details of an order, placed directly or from a cart
+const text = { type: "string", max: 200 };
+const shippingBody = {
+  shippingAddress1: { ...text, required: true },
+  shippingAddress2: text,
+  city: { ...text, required: true },
+  zip: { type: "string", required: true, max: 20 },
+  country: { ...text, required: true },
+  region: text,
+  phone: { type: "string", required: true, max: 30 },
+  couponCode: { type: "string", max: 50 },
+  currency: { type: "string", max: 3 },
+};
+
+exports.validate = validate;
+exports.validateRequest = validateRequest;
+exports.validationError = validationError;
+exports.optional = optional;
+exports.objectId = objectId;
+exports.idParams = idParams;
+exports.deletedQuery = deletedQuery;
+exports.deleteQuery = deleteQuery;
+exports.orderItems = orderItems;
+exports.shippingBody = shippingBody;
@@ -0,0 +1,70 @@
+// Products with variants declare their options, e.g.
+//
+//   options:  [{ name: "Size", values: ["S", "M"] }, { name: "Color", ... }]
+//   variants: [{ sku, options: { Size: "M", Color: "Red" }, price, ... }]
+//
+// and every variant picks one value of each option. Variants are ordered
+// individually: carts and orders reference the product and the variant.
+
+// Describes the first problem of the options and variants of a product, or
+// returns null when they are consistent
+function variantsProblem(options, variants) {
+  const names = options.map((option) => option.name);
+  if (new Set(names).size !== names.length) {
+    return "Option names must be unique";
+  }
+  for (const option of options) {
+    if (option.values.length === 0) {
+      return `Option ${option.name} needs at least one value`;
+    }
+    if (new Set(option.values).size !== option.values.length) {
+      return `The values of option ${option.name} must be unique`;
+    }
+  }
+  if (variants.length > 0 && options.length === 0) {
+    return "Declare the options of the product before adding variants";
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+  for (const variant of variants) {
+    if (skus.has(variant.sku)) return `Duplicate variant SKU ${variant.sku}`;
+    skus.add(variant.sku);
+
+    const chosen =
+      variant.options instanceof Map
+        ? Object.fromEntries(variant.options)
+        : variant.options || {};
+    const extra = Object.keys(chosen).find((name) => !names.includes(name));
+    if (extra) return `Variant ${variant.sku} has an unknown option ${extra}`;
+    for (const option of options) {
+      if (!option.values.includes(chosen[option.name])) {
+        return `Variant ${variant.sku} needs one of the values of ${option.name}`;
+      }
+    }
+
+    const combination = JSON.stringify(names.map((name) => chosen[name]));
+    if (combinations.has(combination)) {
+      return `Variant ${variant.sku} repeats the options of another variant`;
+    }
+    combinations.add(combination);
+  }
+  return null;
+}
+
+// Price of a unit of the product, or of the variant when it overrides it
+function variantPrice(product, variant) {
+  return variant && variant.price !== null && variant.price !== undefined
+    ? variant.price
+    : product.price;
+}
+
+// ID of the variant of a cart, order or stock line, null without variant
+function lineVariantId(line) {
+  if (!line.variant) return null;
+  return line.variant._id || line.variant;
+}
+
+exports.variantsProblem = variantsProblem;
+exports.variantPrice = variantPrice;
+exports.lineVariantId = lineVariantId;
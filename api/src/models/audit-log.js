@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const { AUDIT_ACTIONS, AUDITED_ENTITIES } = require("../helpers/auditActions");
+
+// One document per change made through the API, see helpers/audit.js.
+// Entries are append-only: the model refuses to update or delete them.
+const auditLogSchema = mongoose.Schema({
+  // User of the JWT, null for changes made without one
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Part of the API that made the change when no user did, e.g. "payments"
+  // for the payment webhook
+  system: {
+    type: String,
+    default: null,
+  },
+  action: {
+    type: String,
+    enum: Object.values(AUDIT_ACTIONS),
+    required: true,
+  },
+  entity: {
+    type: String,
+    enum: Object.values(AUDITED_ENTITIES),
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // { field: { from, to } } of the fields that changed, null for missing
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  method: {
+    type: String,
+    default: "",
+  },
+  path: {
+    type: String,
+    default: "",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, dateCreated: -1 });
+auditLogSchema.index({ actor: 1, dateCreated: -1 });
+auditLogSchema.index({ dateCreated: -1 });
+
+function appendOnly(next) {
+  next(new Error("Audit log entries cannot be changed or deleted"));
+}
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "findOneAndDelete",
+    "deleteOne",
+    "deleteMany",
+  ],
+  { document: true, query: true },
+  appendOnly
+);
+
+auditLogSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+auditLogSchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.AuditLog = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const cartItemSchema = mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Products",
+    required: true,
+  },
+  // Required for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+});
+
+const cartSchema = mongoose.Schema({
+  // Guest carts have no user, the client keeps the cart id instead
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  items: [cartItemSchema],
+  // checking_out while its order is being placed, see POST /carts/:id/checkout
+  status: {
+    type: String,
+    enum: ["active", "checking_out", "merged", "ordered"],
+    default: "active",
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+  dateUpdated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+cartSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+cartSchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.Cart = mongoose.model("Cart", cartSchema);
@@ -1,16 +1,73 @@
 const mongoose = require("mongoose");
+const slugify = require("../helpers/slug");
 
 const categorySchema = mongoose.Schema({
   name: {
     type: String,
     required: true,
   },
+  // Generated from the name when missing, see the validate hook below
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // IDs from the root down to the parent, kept by helpers/categoryTree.js
+  ancestors: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+  ],
   icon: {
     type: String,
   },
   color: {
     type: String,
   },
+  // Set by a soft delete, see helpers/deletion.js
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Categories created before slugs existed have none until their next save
+categorySchema.index(
+  { slug: 1 },
+  { unique: true, partialFilterExpression: { slug: { $type: "string" } } }
+);
+categorySchema.index({ parent: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Picks the first free slug among name, name-2, name-3...
+categorySchema.pre("validate", async function () {
+  if (this.slug || !this.name) return;
+  const base = slugify(this.name) || "category";
+  let slug = base;
+  for (let n = 2; ; n++) {
+    const taken = await this.constructor.exists({
+      slug,
+      _id: { $ne: this._id },
+    });
+    if (!taken) break;
+    slug = `${base}-${n}`;
+  }
+  this.slug = slug;
+});
+
+categorySchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+categorySchema.set("toJSON", {
+  virtuals: true,
 });
 
 exports.Category = mongoose.model("Category", categorySchema);
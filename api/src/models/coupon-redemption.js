@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// One row per order that used a coupon, counts the uses of every customer
+const couponRedemptionSchema = mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coupon",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+    unique: true,
+  },
+  // Which of the maxUsesPerUser uses of the customer this is, from 1; unset
+  // for coupons without that limit. Unique, so concurrent orders cannot take
+  // the same one, see redeemCoupon in helpers/coupons.js
+  use: {
+    type: Number,
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  dateRedeemed: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, use: 1 },
+  { unique: true, partialFilterExpression: { use: { $exists: true } } }
+);
+
+exports.CouponRedemption = mongoose.model(
+  "CouponRedemption",
+  couponRedemptionSchema
+);
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+const couponSchema = mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: "",
+  },
+  // percentage: value % off, fixed: value off, free_shipping: no shipping cost
+  type: {
+    type: String,
+    enum: ["percentage", "fixed", "free_shipping"],
+    required: true,
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0,
+    validate: {
+      validator: function (value) {
+        return this.type !== "percentage" || value <= 100;
+      },
+      message: "A percentage coupon cannot take more than 100% off",
+    },
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // When any is set the discount only applies to the matching items
+  products: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Products",
+    },
+  ],
+  categories: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+  ],
+  // null means unlimited
+  maxUses: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+  maxUsesPerUser: {
+    type: Number,
+    default: null,
+    min: 1,
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
+  startsAt: {
+    type: Date,
+    default: null,
+  },
+  endsAt: {
+    type: Date,
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+couponSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+couponSchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.Coupon = mongoose.model("Coupon", couponSchema);
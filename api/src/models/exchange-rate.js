@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Units of currency for one unit of BASE_CURRENCY, managed by the admins
+const exchangeRateSchema = mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0.000001,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  dateUpdated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+exchangeRateSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+exports.ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// The product data and prices are frozen when the order is placed, so later
+// price changes or a deleted product never change past orders. Amounts are
+// in the currency of the order.
 const orderItemSchema = mongoose.Schema({
   quantity: {
     type: Number,
@@ -8,7 +11,52 @@ const orderItemSchema = mongoose.Schema({
   product:{
     type: mongoose.Schema.Types.ObjectId,
     ref:'Products'
-  }
+  },
+  // The variant ordered, for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  name: {
+    type: String,
+  },
+  // Option values of the variant, e.g. { Size: "M", Color: "Red" }
+  options: {
+    type: Map,
+    of: String,
+  },
+  image: {
+    type: String,
+    default: "",
+  },
+  sku: {
+    type: String,
+    default: "",
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+  },
+  unitPrice: {
+    type: Number,
+  },
+  lineTotal: {
+    type: Number,
+  },
+  // Part of the coupon discount taken from this line
+  discount: {
+    type: Number,
+    default: 0,
+  },
+});
+
+orderItemSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+orderItemSchema.set("toJSON", {
+  virtuals: true,
+  flattenMaps: true,
 });
 
 exports.OrderItems = mongoose.model("OrderItems", orderItemSchema);
@@ -1,4 +1,68 @@
 const mongoose = require("mongoose");
+const { ORDER_STATUS } = require("../helpers/orderStatus");
+const { baseCurrency } = require("../helpers/currency");
+const { ORDER_PAYMENT_STATUS } = require("../helpers/paymentStatus");
+
+const statusChangeSchema = mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(ORDER_STATUS),
+    required: true,
+  },
+  from: {
+    type: String,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  note: {
+    type: String,
+    default: "",
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Coupon applied to the order, with the part of the discount taken from
+// every item
+const discountSchema = mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+    },
+    code: String,
+    type: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    freeShipping: {
+      type: Boolean,
+      default: false,
+    },
+    items: [
+      {
+        _id: false,
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Products",
+        },
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        amount: Number,
+      },
+    ],
+  },
+  { _id: false }
+);
 
 const orderSchema = mongoose.Schema({
   orderItems: [{
@@ -26,6 +90,11 @@ const orderSchema = mongoose.Schema({
     type: String,
     required: true,
   },
+  // State or province, used by the regional tax rates
+  region: {
+    type: String,
+    default: "",
+  },
   phone: {
     type: String,
     required: true,
@@ -33,11 +102,57 @@ const orderSchema = mongoose.Schema({
   status: {
     type: String,
     required: true,
-    default: "Pending",
+    enum: Object.values(ORDER_STATUS),
+    default: ORDER_STATUS.PENDING,
+  },
+  statusHistory: [statusChangeSchema],
+  // Every amount of the order is in this currency. exchangeRate holds the
+  // units of it for one unit of the base currency when the order was placed.
+  currency: {
+    type: String,
+    uppercase: true,
+    default: baseCurrency,
   },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+  },
+  subtotal: {
+    type: Number,
+  },
+  discount: {
+    type: discountSchema,
+    default: null,
+  },
+  tax: {
+    type: Number,
+    default: 0,
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  shipping: {
+    type: Number,
+    default: 0,
+  },
+  shippingZone: {
+    type: String,
+  },
+  // subtotal - discount + shipping + tax
   totalPrice: {
     type: Number,
   },
+  // Kept by the payment webhooks, see helpers/payments.js
+  paymentStatus: {
+    type: String,
+    enum: Object.values(ORDER_PAYMENT_STATUS),
+    default: ORDER_PAYMENT_STATUS.UNPAID,
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
@@ -48,6 +163,9 @@ const orderSchema = mongoose.Schema({
   },
 });
 
+orderSchema.index({ dateOrdered: -1 });
+orderSchema.index({ user: 1, dateOrdered: -1 });
+
 orderSchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const { PAYMENT_STATUS } = require("../helpers/paymentStatus");
+
+// Webhook events already applied to the payment, providers retry deliveries
+const paymentEventSchema = mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One attempt to pay an order. A failed attempt is kept and a new one is
+// created when the customer retries.
+const paymentSchema = mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  attempt: {
+    type: Number,
+    default: 1,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  // Id of the payment at the provider
+  reference: {
+    type: String,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  amountCaptured: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUS),
+    default: PAYMENT_STATUS.PENDING,
+  },
+  failureReason: {
+    type: String,
+  },
+  // What the client needs to complete the payment with the provider
+  clientData: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  events: [paymentEventSchema],
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+  dateUpdated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Attempts the provider rejected have no reference
+paymentSchema.index(
+  { provider: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $type: "string" } } }
+);
+// Also keeps two attempts of an order from being opened at once, see
+// startPayment in helpers/payments.js
+paymentSchema.index({ order: 1, attempt: 1 }, { unique: true });
+
+paymentSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+paymentSchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.Payment = mongoose.model("Payment", paymentSchema);
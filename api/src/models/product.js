@@ -1,4 +1,69 @@
 const mongoose = require("mongoose");
+const { baseCurrency } = require("../helpers/currency");
+const { variantsProblem } = require("../helpers/variants");
+
+// URLs of the resized copies of an image, see helpers/productImages.js.
+// url is the value stored in image / images.
+const imageVariantsSchema = mongoose.Schema(
+  {
+    url: String,
+    thumbnail: String,
+    medium: String,
+    large: String,
+    thumbnailWebp: String,
+    mediumWebp: String,
+    largeWebp: String,
+  },
+  { _id: false }
+);
+
+// An option of the product and the values its variants can take
+const optionSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    values: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// A purchasable combination of option values, see helpers/variants.js
+const variantSchema = mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  options: {
+    type: Map,
+    of: String,
+  },
+  // Overrides the price of the product when set, in the product currency
+  price: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  countInStock: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Images of the product gallery showing this variant
+  images: [
+    {
+      type: String,
+    },
+  ],
+});
 
 //Generar schema para mongosee
 const productSchema = mongoose.Schema({
@@ -24,6 +89,12 @@ const productSchema = mongoose.Schema({
       default: "",
     },
   ],
+  imageVariants: [imageVariantsSchema],
+  sku: {
+    type: String,
+    default: "",
+    trim: true,
+  },
   brand: {
     type: String,
     default: "",
@@ -31,24 +102,46 @@ const productSchema = mongoose.Schema({
   price: {
     type: Number,
     default: 0,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+    default: baseCurrency,
+  },
+  // The price in the base currency, used to filter and sort by price. Kept by
+  // helpers/basePrice.js
+  basePrice: {
+    type: Number,
+    select: false,
   },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Category",
     required: true,
   },
+  // Shipping weight in kg, used by weight based shipping rates
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // With variants, the total stock of the variants, kept by helpers/stock.js
   countInStock: {
     type: Number,
     required: true,
     min: 0,
-    max: 255,
   },
+  options: [optionSchema],
+  variants: [variantSchema],
+  // Both are computed from the approved reviews, see helpers/reviews.js
   rating: {
     type: Number,
     default: 0,
   },
   numReviews: {
-    type: String,
+    type: Number,
     default: 0,
   },
   isFeatured: {
@@ -59,14 +152,51 @@ const productSchema = mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Set by a soft delete, see helpers/deletion.js
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
 });
 
+// SKUs are optional but unique when set
+productSchema.index(
+  { sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $gt: "" } } }
+);
+
+// Variant SKUs are unique across products
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $type: "string" } },
+  }
+);
+
+productSchema.pre("validate", function () {
+  const problem = variantsProblem(this.options, this.variants);
+  if (problem) this.invalidate("variants", problem);
+});
+
+// Indexes used by the filters and sorts of GET /products
+productSchema.index({ category: 1, dateCreated: -1 });
+productSchema.index({ basePrice: 1 });
+productSchema.index({ rating: -1 });
+productSchema.index({ dateCreated: -1 });
+
 productSchema.virtual('id').get(function(){
   return this._id.toHexString();
 });
 
 productSchema.set('toJSON', {
   virtuals:true,
+  flattenMaps: true,
+  // basePrice is loaded to page by price, it is not part of the product
+  transform: (doc, ret) => {
+    delete ret.basePrice;
+    return ret;
+  },
 })
 
 
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// One document per issued refresh token. Tokens rotated from the same login
+// share the session id, which is also the `sid` claim of the access tokens.
+const refreshTokenSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Only the SHA-256 of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "RefreshToken",
+  },
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+refreshTokenSchema.index({ session: 1, revokedAt: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+exports.RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const { REVIEW_STATUS } = require("../helpers/reviewStatus");
+
+const reviewSchema = mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Products",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: "rating must be an integer between 1 and 5",
+    },
+  },
+  title: {
+    type: String,
+    default: "",
+    maxlength: 120,
+  },
+  comment: {
+    type: String,
+    default: "",
+    maxlength: 5000,
+  },
+  // Only approved reviews are public and count towards Product.rating
+  status: {
+    type: String,
+    enum: Object.values(REVIEW_STATUS),
+    default: REVIEW_STATUS.PENDING,
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  dateModerated: {
+    type: Date,
+  },
+  helpfulVotes: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+  helpfulCount: {
+    type: Number,
+    default: 0,
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+  dateUpdated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One review per customer and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, dateCreated: -1 });
+
+reviewSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+reviewSchema.set("toJSON", {
+  virtuals: true,
+  // Voters are private, the count is enough
+  transform: (doc, ret) => {
+    delete ret.helpfulVotes;
+    return ret;
+  },
+});
+
+exports.Review = mongoose.model("Review", reviewSchema);
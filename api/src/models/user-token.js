@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Issued email verification and password reset tokens. The token itself is a
+// signed JWT; this record makes it single-use.
+const userTokenSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ["verify-email", "reset-password"],
+    required: true,
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+exports.UserToken = mongoose.model("UserToken", userTokenSchema);
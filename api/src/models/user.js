@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ROLES } = require("../helpers/authorize");
 
 const userSchema = mongoose.Schema({
   name: {
@@ -7,7 +8,7 @@ const userSchema = mongoose.Schema({
   },
   email: {
     type: String,
-    require: true,
+    required: true,
   },
   passwordHash: {
     type: String,
@@ -17,6 +18,16 @@ const userSchema = mongoose.Schema({
     type: String,
     required: true,
   },
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    default: ROLES.CUSTOMER,
+  },
+  isVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Kept for accounts created before roles existed, see roleOf()
   isAdmin: {
     type: Boolean,
     default: false,
@@ -41,6 +52,11 @@ const userSchema = mongoose.Schema({
     type: String,
     default:''
   },
+  // Set by a soft delete, see helpers/deletion.js
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
 });
 
 userSchema.virtual('id').get(function(){
@@ -49,6 +65,11 @@ userSchema.virtual('id').get(function(){
   
   userSchema.set('toJSON', {
     virtuals:true,
+    // The hash never leaves the API, even when the query loaded it
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      return ret;
+    },
   })
 
 
@@ -0,0 +1,339 @@
+const asyncHandler = require("../helpers/asyncHandler");
+const { authorize } = require("../helpers/authorize");
+const { validate } = require("../helpers/validate");
+const { converter } = require("../helpers/currency");
+const {
+  INTERVALS,
+  RANKINGS,
+  MAX_TOP,
+  parseAnalyticsQuery,
+  salesSummary,
+  salesOverTime,
+  topProducts,
+  topCategories,
+  salesByCountry,
+  ordersByStatus,
+} = require("../helpers/analytics");
+
+const express = require("express");
+const router = express.Router();
+
+// Every endpoint takes the same parameters, see parseAnalyticsQuery
+const ANALYTICS_QUERY = {
+  from: { type: "date" },
+  to: { type: "date" },
+  interval: { type: "string", enum: INTERVALS },
+  timezone: { type: "string", max: 64 },
+  limit: { type: "integer", min: 1, max: MAX_TOP },
+  by: { type: "string", enum: RANKINGS },
+  currency: { type: "string", pattern: /^[A-Za-z]{3}$/ },
+};
+
+async function parseRequest(req) {
+  const analyticsQuery = parseAnalyticsQuery(req.query);
+  const money = await converter(req.query.currency);
+  return { analyticsQuery, money };
+}
+
+/**
+ * @swagger
+ * /api/v1/analytics/summary:
+ *   get:
+ *     summary: "Get sales summary"
+ *     description: "Revenue, number of paid orders, average order value and distinct customers in the range"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: "Start of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: "End of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Reporting currency, the base currency by default"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The summary"
+ *       400:
+ *         description: "Invalid range, interval or currency"
+ */
+router.get(`/summary`, authorize("analytics:read"), validate({ query: ANALYTICS_QUERY }), asyncHandler(async (req, res) => {
+  const { analyticsQuery, money } = await parseRequest(req);
+  res.send({
+    currency: money.currency,
+    ...(await salesSummary(analyticsQuery, money)),
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/analytics/sales:
+ *   get:
+ *     summary: "Get sales over time"
+ *     description: "Revenue, paid orders and average order value per day, week or month. Weeks start on Monday and periods without orders are left out"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: "Start of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: "End of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Reporting currency, the base currency by default"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: interval
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: timezone
+ *         required: false
+ *         description: "IANA timezone of the periods, UTC by default"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "One entry per period, oldest first"
+ *       400:
+ *         description: "Invalid range, interval or currency"
+ */
+router.get(`/sales`, authorize("analytics:read"), validate({ query: ANALYTICS_QUERY }), asyncHandler(async (req, res) => {
+  const { analyticsQuery, money } = await parseRequest(req);
+  res.send({
+    currency: money.currency,
+    sales: await salesOverTime(analyticsQuery, money),
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/analytics/top-products:
+ *   get:
+ *     summary: "Get top-selling products"
+ *     description: "Products ranked by revenue (after discounts) or units sold, named as they were when ordered"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: "Start of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: "End of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Reporting currency, the base currency by default"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: by
+ *         required: false
+ *         description: "Ranks by revenue or by units sold"
+ *         schema:
+ *           type: string
+ *           enum: [revenue, quantity]
+ *           default: revenue
+ *     responses:
+ *       200:
+ *         description: "The ranking"
+ *       400:
+ *         description: "Invalid range, interval or currency"
+ */
+router.get(`/top-products`, authorize("analytics:read"), validate({ query: ANALYTICS_QUERY }), asyncHandler(async (req, res) => {
+  const { analyticsQuery, money } = await parseRequest(req);
+  res.send({
+    currency: money.currency,
+    products: await topProducts(analyticsQuery, money),
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/analytics/top-categories:
+ *   get:
+ *     summary: "Get top-selling categories"
+ *     description: "Categories ranked by revenue (after discounts) or units sold, by the category the product had when ordered"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: "Start of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: "End of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Reporting currency, the base currency by default"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: by
+ *         required: false
+ *         description: "Ranks by revenue or by units sold"
+ *         schema:
+ *           type: string
+ *           enum: [revenue, quantity]
+ *           default: revenue
+ *     responses:
+ *       200:
+ *         description: "The ranking"
+ *       400:
+ *         description: "Invalid range, interval or currency"
+ */
+router.get(`/top-categories`, authorize("analytics:read"), validate({ query: ANALYTICS_QUERY }), asyncHandler(async (req, res) => {
+  const { analyticsQuery, money } = await parseRequest(req);
+  res.send({
+    currency: money.currency,
+    categories: await topCategories(analyticsQuery, money),
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/analytics/countries:
+ *   get:
+ *     summary: "Get sales by country"
+ *     description: "Revenue, paid orders and average order value per shipping country"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: "Start of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: "End of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Reporting currency, the base currency by default"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "One entry per country, highest revenue first"
+ *       400:
+ *         description: "Invalid range, interval or currency"
+ */
+router.get(`/countries`, authorize("analytics:read"), validate({ query: ANALYTICS_QUERY }), asyncHandler(async (req, res) => {
+  const { analyticsQuery, money } = await parseRequest(req);
+  res.send({
+    currency: money.currency,
+    countries: await salesByCountry(analyticsQuery, money),
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/analytics/statuses:
+ *   get:
+ *     summary: "Get orders by status"
+ *     description: "Number and amount of the orders in every status, paid or not"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: "Start of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: "End of the range on the order date"
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Reporting currency, the base currency by default"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "One entry per status"
+ *       400:
+ *         description: "Invalid range, interval or currency"
+ */
+router.get(`/statuses`, authorize("analytics:read"), validate({ query: ANALYTICS_QUERY }), asyncHandler(async (req, res) => {
+  const { analyticsQuery, money } = await parseRequest(req);
+  res.send({
+    currency: money.currency,
+    statuses: await ordersByStatus(analyticsQuery, money),
+  });
+}));
+
+module.exports = router;
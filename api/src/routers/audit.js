@@ -0,0 +1,125 @@
+const express = require("express");
+const router = express.Router();
+const { AuditLog } = require("../models/audit-log");
+const asyncHandler = require("../helpers/asyncHandler");
+const { authorize } = require("../helpers/authorize");
+const {
+  parseListQuery,
+  findPage,
+  sendPage,
+} = require("../helpers/listQuery");
+const { validate } = require("../helpers/validate");
+const {
+  AUDIT_ACTIONS,
+  AUDITED_ENTITIES,
+} = require("../helpers/auditActions");
+
+const AUDIT_QUERY = {
+  entity: { type: "string", enum: Object.values(AUDITED_ENTITIES) },
+  entityId: { type: "objectId" },
+  user: { type: "objectId" },
+  action: { type: "string", enum: Object.values(AUDIT_ACTIONS) },
+};
+
+const AUDIT_LIST = {
+  sorts: { date: "dateCreated" },
+  defaultSort: "-date",
+  fields: [
+    "actor",
+    "system",
+    "action",
+    "entity",
+    "entityId",
+    "changes",
+    "method",
+    "path",
+    "ip",
+    "dateCreated",
+  ],
+  dateField: "dateCreated",
+};
+
+/**
+ * @swagger
+ * /api/v1/audit:
+ *   get:
+ *     summary: "Get the audit log"
+ *     description: "Returns a page of the changes made to products, categories and orders, newest first: who made each one, from which IP, and the previous and new value of every changed field. Admin only"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [product, category, order, user, currency]
+ *       - in: query
+ *         name: entityId
+ *         required: false
+ *         description: "ID of the product, category, order, user or exchange rate"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         required: false
+ *         description: "ID of the user who made the changes"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: "nextCursor of the previous page, for cursor pagination instead of page"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "A page of entries: { entries, page, limit, total, totalPages, nextCursor }, each one with actor (null with system set for the changes made by the API itself, like the payment webhook), action, entity, entityId, changes ({ field: { from, to } }), method, path, ip and dateCreated"
+ *       400:
+ *         description: "Invalid query parameters"
+ *       403:
+ *         description: "Only admins can read the audit log"
+ */
+router.get(`/`, authorize("audit:read"), validate({ query: AUDIT_QUERY }), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.entity) filter.entity = String(req.query.entity);
+  if (req.query.entityId) filter.entityId = String(req.query.entityId);
+  if (req.query.user) filter.actor = String(req.query.user);
+  if (req.query.action) filter.action = String(req.query.action);
+
+  const listQuery = parseListQuery(req.query, AUDIT_LIST);
+  const page = await findPage(AuditLog, filter, listQuery, [
+    { path: "actor", select: "name email" },
+  ]);
+  sendPage(req, res, "entries", page);
+}));
+
+module.exports = router;
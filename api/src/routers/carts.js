@@ -0,0 +1,480 @@
+const { Cart } = require("../models/cart");
+const { Product } = require("../models/product");
+const {
+  cartSummary,
+  findCartLine,
+  addToCart,
+  mergeGuestCart,
+} = require("../helpers/cart");
+const placeOrder = require("../helpers/placeOrder");
+const asyncHandler = require("../helpers/asyncHandler");
+const { rateLimit, authUser } = require("../helpers/rateLimit");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../helpers/errors");
+const { NOT_DELETED } = require("../helpers/deletion");
+const { recordAudit } = require("../helpers/audit");
+const { AUDITED_ENTITIES } = require("../helpers/auditActions");
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const {
+  authorize,
+  requireAuth,
+  isOwnerOr,
+} = require("../helpers/authorize");
+const {
+  validate,
+  idParams,
+  objectId,
+  shippingBody,
+} = require("../helpers/validate");
+
+const LINE_PARAMS = { id: objectId, productId: objectId };
+const LINE_QUERY = { variant: { type: "objectId" } };
+const ADD_ITEM_BODY = {
+  product: objectId,
+  variant: { type: "objectId" },
+  quantity: { type: "integer", min: 1 },
+};
+const QUANTITY_BODY = { quantity: { type: "integer", required: true, min: 0 } };
+
+async function findActiveCart(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Cart.findOne({ _id: id, status: "active" });
+}
+
+// Guest carts are reachable by anyone holding their id, user carts only by
+// their owner and staff
+function canAccessCart(req, cart) {
+  return !cart.user || isOwnerOr(req.auth, cart.user, "carts:manage:any");
+}
+
+/**
+ * @swagger
+ * /api/v1/carts:
+ *   post:
+ *     summary: "Create a cart"
+ *     description: "Creates a guest cart, or returns the active cart of the authenticated user"
+ *     responses:
+ *       201:
+ *         description: "Cart created"
+ *       200:
+ *         description: "Existing active cart of the user"
+ */
+router.post("/", asyncHandler(async (req, res) => {
+  const user = req.auth ? req.auth.userId : null;
+
+  if (user) {
+    const existing = await Cart.findOne({ user, status: "active" });
+    if (existing) {
+      return res
+        .status(200)
+        .send(await cartSummary(existing, req.query.currency));
+    }
+  }
+
+  const cart = await new Cart({ user }).save();
+  res.status(201).send(await cartSummary(cart, req.query.currency));
+}));
+
+/**
+ * @swagger
+ * /api/v1/carts/{id}:
+ *   get:
+ *     summary: "Get cart by ID"
+ *     description: "Returns the cart with the current price of every line and the subtotal"
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The cart ID"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Currency of the prices, the base currency by default"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The cart"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 user:
+ *                   type: string
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       product:
+ *                         type: object
+ *                       variant:
+ *                         type: object
+ *                       quantity:
+ *                         type: number
+ *                       unitPrice:
+ *                         type: number
+ *                       lineTotal:
+ *                         type: number
+ *                 subtotal:
+ *                   type: number
+ *       404:
+ *         description: "Cart not found"
+ */
+router.get("/:id", validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const cart = await findActiveCart(req.params.id);
+  if (!cart) throw new NotFoundError("Cart not found!");
+  if (!canAccessCart(req, cart)) throw new ForbiddenError();
+
+  res.send(await cartSummary(cart, req.query.currency));
+}));
+
+/**
+ * @swagger
+ * /api/v1/carts/get/usercart/{userid}:
+ *   get:
+ *     summary: "Get the cart of a user"
+ *     description: "Returns the active cart of the given user"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userid
+ *         required: true
+ *         description: "User ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The cart"
+ *       404:
+ *         description: "The user has no active cart"
+ */
+router.get("/get/usercart/:userid", requireAuth, validate({ params: { userid: objectId } }), asyncHandler(async (req, res) => {
+  if (!isOwnerOr(req.auth, req.params.userid, "carts:manage:any")) {
+    throw new ForbiddenError();
+  }
+
+  const cart = await Cart.findOne({
+    user: req.params.userid,
+    status: "active",
+  });
+  if (!cart) throw new NotFoundError("Cart not found!");
+
+  res.send(await cartSummary(cart, req.query.currency));
+}));
+
+/**
+ * @swagger
+ * /api/v1/carts/{id}/items:
+ *   post:
+ *     summary: "Add a product to the cart"
+ *     description: "Adds the quantity to the product line, creating it if needed. Products with variants are added by variant"
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The cart ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *                 description: "Variant ID, required for products with variants"
+ *               quantity:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: "The updated cart"
+ *       400:
+ *         description: "Invalid product, variant or quantity"
+ *       404:
+ *         description: "Cart not found"
+ */
+router.post("/:id/items", validate({ params: idParams, body: ADD_ITEM_BODY }), asyncHandler(async (req, res) => {
+  const cart = await findActiveCart(req.params.id);
+  if (!cart) throw new NotFoundError("Cart not found!");
+  if (!canAccessCart(req, cart)) throw new ForbiddenError();
+
+  const quantity = Number(req.body.quantity || 1);
+  const product = await Product.findOne({
+    _id: req.body.product,
+    ...NOT_DELETED,
+  });
+  if (!product) throw new BadRequestError("Invalid Product");
+
+  const variantId = req.body.variant || null;
+  if (product.variants.length > 0) {
+    if (!variantId) throw new BadRequestError("Choose a variant");
+    if (!product.variants.id(variantId)) {
+      throw new BadRequestError("Invalid Variant");
+    }
+  } else if (variantId) {
+    throw new BadRequestError("The product has no variants");
+  }
+
+  addToCart(cart, product._id, quantity, variantId);
+  await cart.save();
+
+  res.send(await cartSummary(cart, req.query.currency));
+}));
+
+/**
+ * @swagger
+ * /api/v1/carts/{id}/items/{productId}:
+ *   put:
+ *     summary: "Update a cart line"
+ *     description: "Sets the quantity of a product line; a quantity of 0 removes the line"
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The cart ID"
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         required: false
+ *         description: "Variant ID, for products with variants"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: "The updated cart"
+ *       400:
+ *         description: "Invalid quantity"
+ *       404:
+ *         description: "Cart or line not found"
+ */
+router.put("/:id/items/:productId", validate({ params: LINE_PARAMS, query: LINE_QUERY, body: QUANTITY_BODY }), asyncHandler(async (req, res) => {
+  const cart = await findActiveCart(req.params.id);
+  if (!cart) throw new NotFoundError("Cart not found!");
+  if (!canAccessCart(req, cart)) throw new ForbiddenError();
+
+  const quantity = Number(req.body.quantity);
+  const line = findCartLine(cart, req.params.productId, req.query.variant);
+  if (!line) throw new NotFoundError("Product not in cart!");
+
+  if (quantity === 0) {
+    cart.items.pull(line._id);
+  } else {
+    line.quantity = quantity;
+  }
+  cart.dateUpdated = Date.now();
+  await cart.save();
+
+  res.send(await cartSummary(cart, req.query.currency));
+}));
+
+/**
+ * @swagger
+ * /api/v1/carts/{id}/items/{productId}:
+ *   delete:
+ *     summary: "Remove a product from the cart"
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The cart ID"
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         required: false
+ *         description: "Variant ID, for products with variants"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The updated cart"
+ *       404:
+ *         description: "Cart or line not found"
+ */
+router.delete("/:id/items/:productId", validate({ params: LINE_PARAMS, query: LINE_QUERY }), asyncHandler(async (req, res) => {
+  const cart = await findActiveCart(req.params.id);
+  if (!cart) throw new NotFoundError("Cart not found!");
+  if (!canAccessCart(req, cart)) throw new ForbiddenError();
+
+  const line = findCartLine(cart, req.params.productId, req.query.variant);
+  if (!line) throw new NotFoundError("Product not in cart!");
+
+  cart.items.pull(line._id);
+  cart.dateUpdated = Date.now();
+  await cart.save();
+
+  res.send(await cartSummary(cart, req.query.currency));
+}));
+
+/**
+ * @swagger
+ * /api/v1/carts/{id}/merge:
+ *   post:
+ *     summary: "Merge a guest cart into a user cart"
+ *     description: "Moves the lines of the guest cart into the active cart of the authenticated user"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The guest cart ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The merged user cart"
+ *       400:
+ *         description: "Invalid cart ID"
+ *       404:
+ *         description: "Guest cart not found"
+ */
+router.post("/:id/merge", requireAuth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const cart = await mergeGuestCart(req.params.id, req.auth.userId);
+  if (!cart) throw new NotFoundError("Guest cart not found!");
+
+  res.send(await cartSummary(cart, req.query.currency));
+}));
+
+/**
+ * @swagger
+ * /api/v1/carts/{id}/checkout:
+ *   post:
+ *     summary: "Checkout a cart"
+ *     description: "Turns the cart into an order with the same pricing as POST /orders"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The cart ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shippingAddress1:
+ *                 type: string
+ *               shippingAddress2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               zip:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *               currency:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: "Order created from the cart"
+ *       400:
+ *         description: "Empty cart or invalid order data"
+ *       404:
+ *         description: "Cart not found"
+ *       409:
+ *         description: "Not enough stock for some items, listed per product, or the cart is already being checked out"
+ *       429:
+ *         description: "Too many orders placed by this user, see Retry-After"
+ */
+router.post("/:id/checkout", authorize("orders:create"), rateLimit("orders", { key: authUser }), validate({ params: idParams, body: shippingBody }), asyncHandler(async (req, res) => {
+  const cart = await findActiveCart(req.params.id);
+  if (!cart) throw new NotFoundError("Cart not found!");
+  if (!canAccessCart(req, cart)) throw new ForbiddenError();
+
+  // Claimed before placing the order, so a retry or a double click cannot
+  // order the same cart twice
+  const claimed = await Cart.findOneAndUpdate(
+    { _id: cart._id, user: cart.user, status: "active" },
+    { status: "checking_out", dateUpdated: Date.now() },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ConflictError("The cart is already being checked out", {
+      code: ERROR_CODES.CONCURRENT_UPDATE,
+    });
+  }
+
+  let order;
+  try {
+    order = await placeOrder(claimed.items, {
+      shippingAddress1: req.body.shippingAddress1,
+      shippingAddress2: req.body.shippingAddress2,
+      city: req.body.city,
+      zip: req.body.zip,
+      country: req.body.country,
+      region: req.body.region,
+      phone: req.body.phone,
+      couponCode: req.body.couponCode,
+      currency: req.body.currency,
+      user: claimed.user || req.auth.userId,
+    });
+  } catch (error) {
+    await Cart.updateOne(
+      { _id: claimed._id, status: "checking_out" },
+      { status: "active", dateUpdated: Date.now() }
+    );
+    throw error;
+  }
+
+  await Cart.updateOne(
+    { _id: claimed._id },
+    { status: "ordered", order: order._id, dateUpdated: Date.now() }
+  );
+  await recordAudit(req, AUDITED_ENTITIES.ORDER, null, order);
+
+  res.status(201).send(order);
+}));
+
+module.exports = router;
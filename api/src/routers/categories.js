@@ -1,16 +1,201 @@
 const { Category } = require("../models/category");
 const express = require("express");
 const router = express.Router();
+const { authorize } = require("../helpers/authorize");
+const {
+  parseListQuery,
+  findPage,
+  sendPage,
+} = require("../helpers/listQuery");
+const asyncHandler = require("../helpers/asyncHandler");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} = require("../helpers/errors");
+const {
+  validate,
+  idParams,
+  optional,
+  deletedQuery,
+  deleteQuery,
+} = require("../helpers/validate");
+const {
+  findCategory,
+  placement,
+  moveCategory,
+  categoryPath,
+  categoryTree,
+} = require("../helpers/categoryTree");
+const { snapshot, recordAudit } = require("../helpers/audit");
+const {
+  AUDIT_ACTIONS,
+  AUDITED_ENTITIES,
+} = require("../helpers/auditActions");
+const {
+  includeDeleted,
+  deletedFilter,
+  permanentDelete,
+  isDeleted,
+  softDelete,
+  restore,
+  purge,
+} = require("../helpers/deletion");
+
+const CATEGORY_LIST = {
+  sorts: { name: "name" },
+  defaultSort: "name",
+  fields: ["name", "slug", "parent", "icon", "color"],
+};
+
+// Categories are given by ID or slug, parent is empty for the root
+const parent = { type: "string", max: 100, nullable: true };
+const CATEGORY_FIELDS = {
+  name: { type: "string", required: true, max: 100 },
+  slug: { type: "string", max: 100 },
+  icon: { type: "string", max: 100 },
+  color: { type: "string", max: 20 },
+};
+
+// Sends duplicate slugs as a 409
+function duplicateSlug(error) {
+  if (error.code !== 11000) return error;
+  return new ConflictError("Another category has this slug", {
+    code: ERROR_CODES.DUPLICATE,
+  });
+}
 
 /**
  * @swagger
  * /api/v1/categories:
  *   get:
  *     summary: "Get all categories"
- *     description: "Returns a list of all categories"
+ *     description: "Returns a page of categories"
+ *     parameters:
+ *       - in: query
+ *         name: parent
+ *         required: false
+ *         description: "Only the direct children of this category (ID or slug), or root for the top level"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [name, -name]
+ *           default: name
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: "nextCursor of the previous page, for cursor pagination instead of page"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         description: "Comma separated list of fields to return"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: "Also return deleted records, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: "A list of categories"
+ *         description: "A page of categories"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       parent:
+ *                         type: string
+ *                       ancestors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       icon:
+ *                         type: string
+ *                       color:
+ *                         type: string
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *       400:
+ *         description: "Invalid query parameters or unknown parent"
+ */
+router.get(`/`, validate({ query: deletedQuery }), asyncHandler(async (req, res) => {
+  const listQuery = parseListQuery(req.query, CATEGORY_LIST);
+  const filter = deletedFilter(req);
+  if (req.query.parent === "root") {
+    filter.parent = null;
+  } else if (req.query.parent) {
+    const parent = await findCategory(req.query.parent);
+    if (!parent) throw new BadRequestError("Parent category not found");
+    filter.parent = parent._id;
+  }
+
+  const page = await findPage(Category, filter, listQuery);
+  sendPage(req, res, "categories", page);
+}));
+
+/**
+ * @swagger
+ * /api/v1/categories/tree:
+ *   get:
+ *     summary: "Get the category tree"
+ *     description: "Returns the categories nested under their parents, children sorted by name"
+ *     parameters:
+ *       - in: query
+ *         name: root
+ *         required: false
+ *         description: "Only the subtree of this category (ID or slug)"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: "Also return deleted records, admin only"
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: "The top level categories with their children"
  *         content:
  *           application/json:
  *             schema:
@@ -22,33 +207,48 @@ const router = express.Router();
  *                     type: string
  *                   name:
  *                     type: string
+ *                   slug:
+ *                     type: string
  *                   icon:
  *                     type: string
  *                   color:
  *                     type: string
+ *                   children:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *       404:
+ *         description: "Root category not found"
  */
-router.get(`/`, async (req, res) => {
-  const categoryList = await Category.find();
-
-  if (!categoryList) {
-    res.status(500).json({ success: false });
+router.get(`/tree`, validate({ query: deletedQuery }), asyncHandler(async (req, res) => {
+  const options = { includeDeleted: includeDeleted(req) };
+  let root;
+  if (req.query.root) {
+    root = await findCategory(req.query.root, options);
+    if (!root) throw new NotFoundError("Category not found");
   }
-  res.status(200).send(categoryList);
-});
+  res.send(await categoryTree(root, options));
+}));
 
 /**
  * @swagger
  * /api/v1/categories/{id}:
  *   get:
- *     summary: "Get category by ID"
- *     description: "Returns a single category based on the given ID"
+ *     summary: "Get category by ID or slug"
+ *     description: "Returns a single category with its breadcrumb path from the top level category down to it"
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
- *         description: "The category ID"
+ *         description: "The category ID or slug"
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: "Also return deleted records, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: "The category"
@@ -61,22 +261,36 @@ router.get(`/`, async (req, res) => {
  *                   type: string
  *                 name:
  *                   type: string
+ *                 slug:
+ *                   type: string
+ *                 parent:
+ *                   type: string
  *                 icon:
  *                   type: string
  *                 color:
  *                   type: string
- *       500:
+ *                 path:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *       404:
  *         description: "Category not found"
  */
-router.get("/:id", async (req, res) => {
-  const category = await Category.findById(req.params.id);
-  if (!category) {
-    return res.status(500).json({
-      message: "The category with the given ID was not found!!",
-    });
-  }
-  return res.status(200).send(category);
-});
+router.get("/:id", validate({ query: deletedQuery }), asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.id, {
+    includeDeleted: includeDeleted(req),
+  });
+  if (!category) throw new NotFoundError("Category not found");
+  const path = await categoryPath(category);
+  return res.status(200).send({ ...category.toJSON(), path });
+}));
 
 /**
  * @swagger
@@ -84,6 +298,8 @@ router.get("/:id", async (req, res) => {
  *   put:
  *     summary: "Update category"
  *     description: "Updates an existing category with the provided data"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -100,6 +316,8 @@ router.get("/:id", async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               slug:
+ *                 type: string
  *               icon:
  *                 type: string
  *               color:
@@ -120,24 +338,78 @@ router.get("/:id", async (req, res) => {
  *                   type: string
  *                 color:
  *                   type: string
- *       400:
- *         description: "Failed to update category"
+ *       404:
+ *         description: "Category not found"
+ *       409:
+ *         description: "Another category has this slug"
  */
-router.put("/:id", async (req, res) => {
-  const category = await Category.findByIdAndUpdate(
-    req.params.id,
-    {
-      name: req.body.name,
-      icon: req.body.icon,
-      color: req.body.color,
-    },
-    { new: true }
-  );
+router.put("/:id", authorize("categories:write"), validate({ body: optional(CATEGORY_FIELDS) }), asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.id);
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
 
-  if (!category) return res.status(400).send("The category cannot be updated!");
+  // The parent is changed with PUT /categories/{id}/parent
+  const before = snapshot(category);
+  ["name", "slug", "icon", "color"].forEach((field) => {
+    if (req.body[field] !== undefined) category[field] = req.body[field];
+  });
+  try {
+    await category.save();
+  } catch (error) {
+    throw duplicateSlug(error);
+  }
+  await recordAudit(req, AUDITED_ENTITIES.CATEGORY, before, category);
 
   res.send(category);
-});
+}));
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}/parent:
+ *   put:
+ *     summary: "Move a category"
+ *     description: "Moves the category with all its subcategories under another category, or to the top level when parent is null"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The category ID or slug"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: "ID or slug of the new parent"
+ *     responses:
+ *       200:
+ *         description: "The moved category"
+ *       400:
+ *         description: "Parent category not found"
+ *       404:
+ *         description: "Category not found"
+ *       409:
+ *         description: "The new parent is the category itself or one of its subcategories"
+ */
+router.put("/:id/parent", authorize("categories:write"), validate({ body: { parent } }), asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.id);
+  if (!category) throw new NotFoundError("Category not found");
+
+  const before = snapshot(category);
+  const moved = await moveCategory(category, req.body.parent);
+  await recordAudit(req, AUDITED_ENTITIES.CATEGORY, before, moved);
+
+  res.send(moved);
+}));
 
 /**
  * @swagger
@@ -145,6 +417,8 @@ router.put("/:id", async (req, res) => {
  *   post:
  *     summary: "Create a new category"
  *     description: "Adds a new category to the catalog"
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -154,6 +428,12 @@ router.put("/:id", async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: "Generated from the name when missing"
+ *               parent:
+ *                 type: string
+ *                 description: "ID or slug of the parent category, none for a top level category"
  *               icon:
  *                 type: string
  *               color:
@@ -175,28 +455,43 @@ router.put("/:id", async (req, res) => {
  *                 color:
  *                   type: string
  *       400:
- *         description: "Failed to create category"
+ *         description: "Failed to create category or parent category not found"
+ *       409:
+ *         description: "Another category has this slug"
  */
-router.post("/", async (req, res) => {
+router.post("/", authorize("categories:write"), validate({ body: { ...CATEGORY_FIELDS, parent } }), asyncHandler(async (req, res) => {
+  const { parent, ancestors } = await placement(req.body.parent);
   let category = new Category({
     name: req.body.name,
+    slug: req.body.slug,
+    parent,
+    ancestors,
     icon: req.body.icon,
     color: req.body.color,
   });
 
-  category = await category.save();
+  try {
+    category = await category.save();
+  } catch (error) {
+    throw duplicateSlug(error);
+  }
 
-  if (!category) return res.status(400).send("The category cannot be created!");
+  if (!category) {
+    throw new BadRequestError("The category cannot be created!");
+  }
+  await recordAudit(req, AUDITED_ENTITIES.CATEGORY, null, category);
 
   res.send(category);
-});
+}));
 
 /**
  * @swagger
  * /api/v1/categories/{id}:
  *   delete:
  *     summary: "Delete a category"
- *     description: "Deletes a category based on the provided ID"
+ *     description: "Soft deletes a category, which is hidden until restored. Refused while it has subcategories or products that are not deleted. With permanent=true an already deleted category is removed for good, refused while any subcategory or product, even deleted, points at it"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -204,33 +499,96 @@ router.post("/", async (req, res) => {
  *         description: "The category ID"
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: permanent
+ *         required: false
+ *         description: "Remove a deleted record for good instead, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: "Category deleted successfully"
+ *       403:
+ *         description: "Only admins can delete categories permanently"
  *       404:
  *         description: "Category not found"
+ *       409:
+ *         description: "The category still has subcategories or products, counted in references, or is not deleted yet (permanent=true)"
  */
-router.delete("/:id", (req, res) => {
-  Category.findByIdAndRemove(req.params.id)
-    .then((category) => {
-      if (category) {
-        return res.status(200).json({
-          success: true,
-          message: "The category has been deleted",
-        });
-      } else {
-        return res.status(404).json({
-          success: false,
-          message: "Category not found!",
-        });
-      }
-    })
-    .catch((err) => {
-      return res.status(400).json({
-        success: false,
-        error: err,
-      });
+router.delete("/:id", authorize("categories:write"), validate({ params: idParams, query: deleteQuery }), asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) throw new NotFoundError("Category not found");
+
+  if (permanentDelete(req)) {
+    await purge("category", category);
+    await recordAudit(
+      req,
+      AUDITED_ENTITIES.CATEGORY,
+      category,
+      null,
+      AUDIT_ACTIONS.PURGE
+    );
+    return res.status(200).json({
+      success: true,
+      message: "The category has been permanently deleted",
     });
-});
+  }
+
+  if (isDeleted(category)) throw new NotFoundError("Category not found");
+  const before = snapshot(category);
+  await softDelete("category", category);
+  await recordAudit(
+    req,
+    AUDITED_ENTITIES.CATEGORY,
+    before,
+    category,
+    AUDIT_ACTIONS.DELETE
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "The category has been deleted",
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/categories/{id}/restore:
+ *   post:
+ *     summary: "Restore a deleted category"
+ *     description: "Undoes the soft delete of a category. Its parent must not be deleted"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The category ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The restored category"
+ *       404:
+ *         description: "Category not found"
+ *       409:
+ *         description: "The category is not deleted or its parent is"
+ */
+router.post("/:id/restore", authorize("categories:write"), validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) throw new NotFoundError("Category not found");
+
+  const before = snapshot(category);
+  await restore("category", category);
+  await recordAudit(
+    req,
+    AUDITED_ENTITIES.CATEGORY,
+    before,
+    category,
+    AUDIT_ACTIONS.RESTORE
+  );
+
+  res.send(category);
+}));
 
 module.exports = router;
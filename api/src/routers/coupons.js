@@ -0,0 +1,364 @@
+const { Coupon } = require("../models/coupon");
+const asyncHandler = require("../helpers/asyncHandler");
+const {
+  ERROR_CODES,
+  NotFoundError,
+  ConflictError,
+} = require("../helpers/errors");
+const { priceItems, roundMoney } = require("../helpers/pricing");
+const { findCoupon, evaluateCoupon } = require("../helpers/coupons");
+const { converter } = require("../helpers/currency");
+const { authorize } = require("../helpers/authorize");
+const {
+  parseListQuery,
+  findPage,
+  sendPage,
+} = require("../helpers/listQuery");
+const {
+  validate,
+  idParams,
+  optional,
+  orderItems,
+} = require("../helpers/validate");
+
+const express = require("express");
+const router = express.Router();
+
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "minOrderValue",
+  "products",
+  "categories",
+  "maxUses",
+  "maxUsesPerUser",
+  "startsAt",
+  "endsAt",
+  "isActive",
+];
+
+const ids = { type: "array", items: { type: "objectId", required: true } };
+const limit = { type: "integer", min: 1, nullable: true };
+const date = { type: "date", nullable: true };
+
+const COUPON_BODY = {
+  code: { type: "string", required: true, max: 50 },
+  description: { type: "string", max: 500 },
+  type: {
+    type: "string",
+    required: true,
+    enum: ["percentage", "fixed", "free_shipping"],
+  },
+  value: { type: "number", min: 0 },
+  minOrderValue: { type: "number", min: 0 },
+  products: ids,
+  categories: ids,
+  maxUses: limit,
+  maxUsesPerUser: limit,
+  startsAt: date,
+  endsAt: date,
+  isActive: { type: "boolean" },
+};
+const VALIDATE_BODY = {
+  code: { type: "string", required: true, max: 50 },
+  orderItems,
+  currency: { type: "string", max: 3 },
+};
+
+const COUPON_LIST = {
+  sorts: { code: "code", date: "dateCreated", used: "usedCount" },
+  defaultSort: "-date",
+  fields: [...COUPON_FIELDS, "usedCount", "dateCreated"],
+  dateField: "dateCreated",
+};
+
+// Only the editable fields of the body, usedCount is kept by the orders
+function couponFields(body) {
+  const fields = {};
+  COUPON_FIELDS.forEach((name) => {
+    if (body[name] !== undefined) fields[name] = body[name];
+  });
+  return fields;
+}
+
+function duplicateCode(error) {
+  if (error.code !== 11000) return error;
+  return new ConflictError("A coupon with this code already exists", {
+    code: ERROR_CODES.DUPLICATE,
+  });
+}
+
+/**
+ * @swagger
+ * /api/v1/coupons:
+ *   get:
+ *     summary: "Get all coupons"
+ *     description: "Returns a page of coupons, newest first by default"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         required: false
+ *         description: "Only active (true) or inactive (false) coupons"
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [code, -code, date, -date, used, -used]
+ *           default: -date
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: "A page of coupons"
+ *       400:
+ *         description: "Invalid query parameters"
+ */
+router.get(`/`, authorize("coupons:manage"), validate({ query: { active: { type: "boolean" } } }), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === "true";
+  }
+
+  const listQuery = parseListQuery(req.query, COUPON_LIST);
+  const page = await findPage(Coupon, filter, listQuery);
+  sendPage(req, res, "coupons", page);
+}));
+
+/**
+ * @swagger
+ * /api/v1/coupons/validate:
+ *   post:
+ *     summary: "Preview a coupon"
+ *     description: "Checks a coupon code against the given items and returns the discount an order would get"
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               currency:
+ *                 type: string
+ *               orderItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: "Subtotal, discount and total of the items"
+ *       400:
+ *         description: "Invalid code or the coupon does not apply"
+ *       409:
+ *         description: "Usage limit reached"
+ */
+router.post(`/validate`, authorize("orders:create"), validate({ body: VALIDATE_BODY }), asyncHandler(async (req, res) => {
+  const money = await converter(req.body.currency);
+  const { subtotal, lines } = await priceItems(req.body.orderItems, money);
+  const coupon = await findCoupon(req.body.code);
+  const discount = await evaluateCoupon(
+    coupon,
+    lines,
+    subtotal,
+    req.auth.userId,
+    money
+  );
+
+  res.send({
+    currency: money.currency,
+    subtotal,
+    discount,
+    totalPrice: roundMoney(subtotal - discount.amount),
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/coupons/{id}:
+ *   get:
+ *     summary: "Get coupon by ID"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The coupon ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The coupon"
+ *       404:
+ *         description: "Coupon not found"
+ */
+router.get(`/:id`, authorize("coupons:manage"), validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) throw new NotFoundError("Coupon not found");
+  res.send(coupon);
+}));
+
+/**
+ * @swagger
+ * /api/v1/coupons:
+ *   post:
+ *     summary: "Create a coupon"
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - type
+ *             properties:
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed, free_shipping]
+ *               value:
+ *                 type: number
+ *                 description: "Percentage off, or amount off in the base currency, depending on type"
+ *               minOrderValue:
+ *                 type: number
+ *                 description: "In the base currency"
+ *               products:
+ *                 type: array
+ *                 description: "Only discount these products"
+ *                 items:
+ *                   type: string
+ *               categories:
+ *                 type: array
+ *                 description: "Only discount products of these categories"
+ *                 items:
+ *                   type: string
+ *               maxUses:
+ *                 type: integer
+ *               maxUsesPerUser:
+ *                 type: integer
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: "Coupon created"
+ *       400:
+ *         description: "Invalid coupon data"
+ *       409:
+ *         description: "The code is already used by another coupon"
+ */
+router.post(`/`, authorize("coupons:manage"), validate({ body: COUPON_BODY }), asyncHandler(async (req, res) => {
+  let coupon;
+  try {
+    coupon = await new Coupon(couponFields(req.body)).save();
+  } catch (error) {
+    throw duplicateCode(error);
+  }
+  res.status(201).send(coupon);
+}));
+
+/**
+ * @swagger
+ * /api/v1/coupons/{id}:
+ *   put:
+ *     summary: "Update a coupon"
+ *     description: "Accepts the same fields as the creation, usedCount is not editable"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The coupon ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Coupon updated"
+ *       400:
+ *         description: "Invalid coupon data"
+ *       404:
+ *         description: "Coupon not found"
+ */
+router.put(`/:id`, authorize("coupons:manage"), validate({ params: idParams, body: optional(COUPON_BODY) }), asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) throw new NotFoundError("Coupon not found");
+
+  coupon.set(couponFields(req.body));
+  try {
+    await coupon.save();
+  } catch (error) {
+    throw duplicateCode(error);
+  }
+  res.send(coupon);
+}));
+
+/**
+ * @swagger
+ * /api/v1/coupons/{id}:
+ *   delete:
+ *     summary: "Delete a coupon"
+ *     description: "Orders that used the coupon keep their discount"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The coupon ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Coupon deleted"
+ *       404:
+ *         description: "Coupon not found"
+ */
+router.delete(`/:id`, authorize("coupons:manage"), validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndDelete(req.params.id);
+  if (!coupon) {
+    throw new NotFoundError("Coupon not found");
+  }
+  res.status(200).json({ success: true, message: "The coupon is deleted" });
+}));
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const { ExchangeRate } = require("../models/exchange-rate");
+const { Product } = require("../models/product");
+const asyncHandler = require("../helpers/asyncHandler");
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+} = require("../helpers/errors");
+const { authorize } = require("../helpers/authorize");
+const { validate } = require("../helpers/validate");
+const { baseCurrency, normalizeCurrency } = require("../helpers/currency");
+const { syncBasePrices } = require("../helpers/basePrice");
+const { recordAudit } = require("../helpers/audit");
+const { AUDITED_ENTITIES } = require("../helpers/auditActions");
+
+const express = require("express");
+const router = express.Router();
+
+const CODE_PARAMS = {
+  code: { type: "string", required: true, pattern: /^[A-Za-z]{3}$/ },
+};
+const RATE_BODY = { rate: { type: "number", required: true, min: 0 } };
+
+/**
+ * @swagger
+ * /api/v1/currencies:
+ *   get:
+ *     summary: "Get exchange rates"
+ *     description: "Returns the base currency and the units of every other currency for one unit of it"
+ *     responses:
+ *       200:
+ *         description: "The exchange rate table"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 base:
+ *                   type: string
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       currency:
+ *                         type: string
+ *                       rate:
+ *                         type: number
+ *                       dateUpdated:
+ *                         type: string
+ */
+router.get(`/`, asyncHandler(async (req, res) => {
+  const rates = await ExchangeRate.find().sort({ currency: 1 });
+  res.send({ base: baseCurrency(), rates });
+}));
+
+/**
+ * @swagger
+ * /api/v1/currencies/{code}:
+ *   put:
+ *     summary: "Set an exchange rate"
+ *     description: "Creates or updates the rate of a currency against the base currency"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         description: "ISO 4217 code, e.g. EUR"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 description: "Units of the currency for one unit of the base currency"
+ *     responses:
+ *       200:
+ *         description: "The updated rate"
+ *       400:
+ *         description: "Invalid currency code, or the base currency"
+ *       422:
+ *         description: "Missing or invalid rate, listed in errors"
+ */
+router.put(`/:code`, authorize("currencies:manage"), validate({ params: CODE_PARAMS, body: RATE_BODY }), asyncHandler(async (req, res) => {
+  const currency = normalizeCurrency(req.params.code);
+  if (currency === baseCurrency()) {
+    throw new BadRequestError("The base currency rate is always 1");
+  }
+  const rate = Number(req.body.rate);
+  if (rate === 0) {
+    throw new ValidationError("Invalid request body", {
+      errors: [
+        { field: "rate", in: "body", message: "must be greater than 0" },
+      ],
+    });
+  }
+
+  const before = await ExchangeRate.findOne({ currency });
+  const exchangeRate = await ExchangeRate.findOneAndUpdate(
+    { currency },
+    { rate, updatedBy: req.auth.userId, dateUpdated: Date.now() },
+    { new: true, upsert: true, runValidators: true }
+  );
+  await syncBasePrices({ currency });
+  await recordAudit(req, AUDITED_ENTITIES.CURRENCY, before, exchangeRate);
+  res.send(exchangeRate);
+}));
+
+/**
+ * @swagger
+ * /api/v1/currencies/{code}:
+ *   delete:
+ *     summary: "Delete an exchange rate"
+ *     description: "Prices and orders can no longer be converted into the currency"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Rate deleted"
+ *       400:
+ *         description: "Invalid currency code"
+ *       404:
+ *         description: "Currency not found"
+ *       409:
+ *         description: "Some products are still priced in the currency"
+ */
+router.delete(`/:code`, authorize("currencies:manage"), validate({ params: CODE_PARAMS }), asyncHandler(async (req, res) => {
+  const currency = normalizeCurrency(req.params.code);
+  if (await Product.exists({ currency })) {
+    throw new ConflictError(
+      `Some products are still priced in ${currency}`
+    );
+  }
+
+  const exchangeRate = await ExchangeRate.findOneAndDelete({ currency });
+  if (!exchangeRate) {
+    throw new NotFoundError("Currency not found");
+  }
+  await recordAudit(req, AUDITED_ENTITIES.CURRENCY, exchangeRate, null);
+  res.status(200).json({ success: true, message: "The rate is deleted" });
+}));
+
+module.exports = router;
@@ -1,44 +1,221 @@
 const { Order } = require("../models/order");
 const { OrderItems } = require("../models/order-item");
+const placeOrder = require("../helpers/placeOrder");
+const changeOrderStatus = require("../helpers/changeOrderStatus");
+const quoteOrder = require("../helpers/orderQuote");
+const { converter, baseCurrency } = require("../helpers/currency");
+const { roundMoney } = require("../helpers/pricing");
+const asyncHandler = require("../helpers/asyncHandler");
+const { rateLimit, authUser } = require("../helpers/rateLimit");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../helpers/errors");
+const { releaseOrderStock } = require("../helpers/stock");
+const { releaseCoupon } = require("../helpers/coupons");
+const { recordAudit } = require("../helpers/audit");
+const { AUDITED_ENTITIES } = require("../helpers/auditActions");
+const {
+  ORDER_STATUS,
+  TRANSITIONS,
+  STOCK_HELD_STATUSES,
+  PAID_STATUSES,
+  canTransition,
+} = require("../helpers/orderStatus");
+const { ORDER_PAYMENT_STATUS } = require("../helpers/paymentStatus");
+const {
+  authorize,
+  requireAuth,
+  isOwnerOr,
+  can,
+} = require("../helpers/authorize");
+const {
+  parseListQuery,
+  findPage,
+  sendPage,
+} = require("../helpers/listQuery");
+const {
+  validate,
+  idParams,
+  objectId,
+  orderItems,
+  shippingBody,
+} = require("../helpers/validate");
 
 const express = require("express");
 const router = express.Router();
 
+const status = { type: "string", enum: Object.values(ORDER_STATUS) };
+
+const ORDER_QUERY = {
+  status,
+  paymentStatus: { type: "string", enum: Object.values(ORDER_PAYMENT_STATUS) },
+};
+const QUOTE_BODY = {
+  orderItems,
+  // The quote only needs the destination, not the whole address
+  country: { ...shippingBody.country, required: false },
+  region: shippingBody.region,
+  couponCode: shippingBody.couponCode,
+  currency: shippingBody.currency,
+};
+const ORDER_BODY = {
+  ...shippingBody,
+  orderItems,
+  user: { type: "objectId" },
+};
+const STATUS_BODY = {
+  status: { ...status, required: true },
+  note: { type: "string", max: 500 },
+};
+
+const ORDER_LIST = {
+  sorts: { date: "dateOrdered", totalPrice: "totalPrice", status: "status" },
+  defaultSort: "-date",
+  fields: [
+    "orderItems",
+    "shippingAddress1",
+    "shippingAddress2",
+    "city",
+    "zip",
+    "country",
+    "region",
+    "phone",
+    "status",
+    "statusHistory",
+    "paymentStatus",
+    "amountPaid",
+    "currency",
+    "exchangeRate",
+    "subtotal",
+    "discount",
+    "tax",
+    "taxRate",
+    "shipping",
+    "shippingZone",
+    "totalPrice",
+    "user",
+    "dateOrdered",
+  ],
+  dateField: "dateOrdered",
+};
+
 /**
  * @swagger
  * /api/v1/orders:
  *   get:
  *     summary: "Get all orders"
- *     description: "Returns a list of all orders"
+ *     description: "Returns a page of orders, newest first by default"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [date, -date, totalPrice, -totalPrice, status, -status]
+ *           default: -date
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: paymentStatus
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [unpaid, partially_paid, paid, failed]
+ *       - in: query
+ *         name: from
+ *         description: "Ordered on or after this date"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: "Ordered on or before this date"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: "nextCursor of the previous page, for cursor pagination instead of page"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         description: "Comma separated list of fields to return"
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: "A list of orders"
+ *         description: "A page of orders"
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                   status:
- *                     type: string
- *                   totalPrice:
- *                     type: number
- *                   dateOrdered:
- *                     type: string
+ *               type: object
+ *               properties:
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       totalPrice:
+ *                         type: number
+ *                       dateOrdered:
+ *                         type: string
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *       400:
+ *         description: "Invalid query parameters"
  */
-router.get(`/`, async (req, res) => {
-  const orderList = await Order.find()
-    .populate("user", "name")
-    .sort({ dateOrdered: -1 });
-
-  if (!orderList) {
-    res.status(500).json({ success: false });
+router.get(`/`, authorize("orders:read:any"), validate({ query: ORDER_QUERY }), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = String(req.query.status);
+  if (req.query.paymentStatus) {
+    filter.paymentStatus = String(req.query.paymentStatus);
   }
-  res.send(orderList);
-});
+
+  const listQuery = parseListQuery(req.query, ORDER_LIST);
+  const page = await findPage(Order, filter, listQuery, [
+    { path: "user", select: "name" },
+  ]);
+  sendPage(req, res, "orders", page);
+}));
 
 /**
  * @swagger
@@ -46,6 +223,8 @@ router.get(`/`, async (req, res) => {
  *   get:
  *     summary: "Get order by ID"
  *     description: "Returns a single order based on the given ID"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -72,7 +251,7 @@ router.get(`/`, async (req, res) => {
  *       500:
  *         description: "Order not found"
  */
-router.get(`/:id`, async (req, res) => {
+router.get(`/:id`, requireAuth, validate({ params: idParams }), asyncHandler(async (req, res) => {
   const order = await Order.findById(req.params.id)
     .populate("user", "name")
     .populate({
@@ -80,11 +259,12 @@ router.get(`/:id`, async (req, res) => {
       populate: { path: "product", populate: "category" },
     });
 
-  if (!order) {
-    res.status(500).json({ success: false });
+  if (!order) throw new NotFoundError("Order not found");
+  if (!isOwnerOr(req.auth, order.user && order.user._id, "orders:read:any")) {
+    throw new ForbiddenError();
   }
   res.send(order);
-});
+}));
 
 /**
  * @swagger
@@ -92,6 +272,8 @@ router.get(`/:id`, async (req, res) => {
  *   post:
  *     summary: "Create a new order"
  *     description: "Creates a new order with the provided order items and details"
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -106,6 +288,9 @@ router.get(`/:id`, async (req, res) => {
  *                   properties:
  *                     product:
  *                       type: string
+ *                     variant:
+ *                       type: string
+ *                       description: "Variant ID, required for products with variants"
  *                     quantity:
  *                       type: number
  *               shippingAddress1:
@@ -118,12 +303,18 @@ router.get(`/:id`, async (req, res) => {
  *                 type: string
  *               country:
  *                 type: string
- *               phone:
+ *               region:
  *                 type: string
- *               status:
+ *                 description: "State or province, for regional tax rates"
+ *               phone:
  *                 type: string
  *               user:
  *                 type: string
+ *               couponCode:
+ *                 type: string
+ *               currency:
+ *                 type: string
+ *                 description: "Currency of the order, the base currency by default"
  *     responses:
  *       201:
  *         description: "Order created successfully"
@@ -136,86 +327,139 @@ router.get(`/:id`, async (req, res) => {
  *                   type: string
  *                 status:
  *                   type: string
+ *                 subtotal:
+ *                   type: number
+ *                 discount:
+ *                   type: object
+ *                 tax:
+ *                   type: number
+ *                 shipping:
+ *                   type: number
  *                 totalPrice:
  *                   type: number
  *                 dateOrdered:
  *                   type: string
  *       400:
- *         description: "Failed to create order"
+ *         description: "Failed to create order or the coupon cannot be used"
+ *       422:
+ *         description: "Missing or invalid fields, such as an empty orderItems, listed in errors"
+ *       409:
+ *         description: "Not enough stock for some items, listed per product, or coupon usage limit reached"
+ *       429:
+ *         description: "Too many orders placed by this user, see Retry-After"
  *       500:
  *         description: "Internal server error"
  */
-router.post("/", async (req, res) => {
-  try {
-    const orderItemIdsResolved = await Promise.all(
-      req.body.orderItems.map(async (orderItem) => {
-        let newOrderItem = new OrderItems({
-          quantity: orderItem.quantity,
-          product: orderItem.product,
-        });
-        newOrderItem = await newOrderItem.save();
-        return newOrderItem._id;
-      })
-    );
+router.post("/", authorize("orders:create"), rateLimit("orders", { key: authUser }), validate({ body: ORDER_BODY }), asyncHandler(async (req, res) => {
+  // Customers always order for themselves, staff may order for anyone
+  const user =
+    can(req.auth, "orders:create:any") && req.body.user
+      ? req.body.user
+      : req.auth.userId;
 
-    if (orderItemIdsResolved.length === 0) {
-      return res.status(400).send("No order items provided!");
-    }
-
-    const totalPrices = await Promise.all(
-      orderItemIdsResolved.map(async (orderItemId) => {
-        try {
-          const orderItem = await OrderItems.findById(orderItemId).populate(
-            "product",
-            "price"
-          );
-
-          if (!orderItem) {
-            throw new Error("Order item not found!");
-          }
-          const totalPrice = orderItem.product.price * orderItem.quantity;
-          return totalPrice;
-        } catch (error) {
-          console.error("Error calculating totalPrice:", error.message);
-          throw error;
-        }
-      })
-    );
-
-    const totalPrice = totalPrices.reduce((a, b) => a + b, 0);
-
-    let order = new Order({
-      orderItems: orderItemIdsResolved,
-      shippingAddress1: req.body.shippingAddress1,
-      shippingAddress2: req.body.shippingAddress2,
-      city: req.body.city,
-      zip: req.body.zip,
-      country: req.body.country,
-      phone: req.body.phone,
-      status: req.body.status,
-      totalPrice: totalPrice,
-      user: req.body.user,
-    });
+  const order = await placeOrder(req.body.orderItems, {
+    ...req.body,
+    user,
+  });
 
-    order = await order.save();
+  if (!order) {
+    throw new BadRequestError("The order cannot be created!");
+  }
+  await recordAudit(req, AUDITED_ENTITIES.ORDER, null, order);
 
-    if (!order) {
-      return res.status(400).send("The order cannot be created!");
-    }
+  res.send(order);
+}));
 
-    res.send(order);
-  } catch (error) {
-    console.error(error);
-    res.status(500).send("Internal Server Error");
-  }
-});
+/**
+ * @swagger
+ * /api/v1/orders/quote:
+ *   post:
+ *     summary: "Quote an order"
+ *     description: "Returns the subtotal, discount, tax, shipping and total an order of the given items to the given destination would have, without placing it"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderItems
+ *               - country
+ *             properties:
+ *               orderItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                       description: "Variant ID, required for products with variants"
+ *                     quantity:
+ *                       type: number
+ *               country:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *               currency:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "The cost breakdown"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 currency:
+ *                   type: string
+ *                 exchangeRate:
+ *                   type: number
+ *                 subtotal:
+ *                   type: number
+ *                 discount:
+ *                   type: object
+ *                 tax:
+ *                   type: number
+ *                 taxRate:
+ *                   type: number
+ *                 shipping:
+ *                   type: number
+ *                 shippingZone:
+ *                   type: string
+ *                 totalPrice:
+ *                   type: number
+ *       400:
+ *         description: "Invalid items, destination or coupon"
+ *       422:
+ *         description: "Missing or invalid fields, listed in errors"
+ */
+router.post("/quote", validate({ body: QUOTE_BODY }), asyncHandler(async (req, res) => {
+  const { lines, ...quote } = await quoteOrder(req.body.orderItems, {
+    country: req.body.country,
+    region: req.body.region,
+    couponCode: req.body.couponCode,
+    currency: req.body.currency,
+    user: req.auth ? req.auth.userId : undefined,
+  });
+  res.send({ items: lines, ...quote });
+}));
 
 /**
  * @swagger
  * /api/v1/orders/{id}:
  *   put:
  *     summary: "Update order status"
- *     description: "Updates the status of an existing order"
+ *     description: "Moves the order to the next status of its lifecycle (Pending, Paid, Processing, Shipped, Delivered, Cancelled, Refunded) and records the change in statusHistory. Moving it to Cancelled puts its items back in stock and gives back the use of its coupon"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -232,31 +476,59 @@ router.post("/", async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
+ *                 enum: [Pending, Paid, Processing, Shipped, Delivered, Cancelled, Refunded]
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
  *         description: "Order updated successfully"
  *       400:
- *         description: "Failed to update order"
+ *         description: "Invalid order ID"
+ *       422:
+ *         description: "Missing or unknown status"
+ *       404:
+ *         description: "Order not found"
+ *       409:
+ *         description: "The order cannot move from its current status to the requested one"
  */
-router.put("/:id", async (req, res) => {
-  const order = await Order.findByIdAndUpdate(
-    req.params.id,
-    {
-      status: req.body.status,
-    },
-    { new: true }
-  );
-  if (!order) return res.status(400).send("The order cannot be updated!");
+router.put("/:id", authorize("orders:update"), validate({ params: idParams, body: STATUS_BODY }), asyncHandler(async (req, res) => {
+  const status = req.body.status;
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new NotFoundError("Order not found!");
 
-  res.send(order);
-});
+  if (!canTransition(order.status, status)) {
+    throw new ConflictError(
+      `The order cannot move from ${order.status} to ${status}`,
+      {
+        code: ERROR_CODES.INVALID_STATUS_TRANSITION,
+        details: { allowed: TRANSITIONS[order.status] || [] },
+      }
+    );
+  }
+
+  const updated = await changeOrderStatus(order, status, {
+    actor: req.auth ? req.auth.userId : undefined,
+    note: req.body.note,
+  });
+  if (!updated) {
+    throw new ConflictError(
+      "The order status was changed by another request, try again",
+      { code: ERROR_CODES.CONCURRENT_UPDATE }
+    );
+  }
+  await recordAudit(req, AUDITED_ENTITIES.ORDER, order, updated);
+
+  res.send(updated);
+}));
 
 /**
  * @swagger
  * /api/v1/orders/{id}:
  *   delete:
  *     summary: "Delete an order"
- *     description: "Deletes an order and its associated order items"
+ *     description: "Deletes an order and its associated order items, putting them back in stock (and giving back the use of its coupon) if they had not been shipped yet"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -270,41 +542,40 @@ router.put("/:id", async (req, res) => {
  *       404:
  *         description: "Order not found"
  */
-router.delete("/:id", (req, res) => {
-  Order.findByIdAndRemove(req.params.id)
-    .then(async (order) => {
-      if (order) {
-        await Promise.all(
-          order.orderItems.map(async (orderItem) => {
-            await OrderItems.findByIdAndRemove(orderItem._id);
-          })
-        );
+router.delete("/:id", authorize("orders:delete"), validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const order = await Order.findByIdAndDelete(req.params.id);
+  if (!order) {
+    throw new NotFoundError("Order not found!");
+  }
 
-        return res.status(200).json({
-          success: true,
-          message: "The order has been deleted",
-        });
-      } else {
-        return res.status(404).json({
-          success: false,
-          message: "Order not found!",
-        });
-      }
-    })
-    .catch((err) => {
-      return res.status(400).json({
-        success: false,
-        error: err,
-      });
-    });
-});
+  if (STOCK_HELD_STATUSES.includes(order.status)) {
+    await releaseOrderStock(order);
+    await releaseCoupon(order);
+  }
+  await OrderItems.deleteMany({ _id: { $in: order.orderItems } });
+  await recordAudit(req, AUDITED_ENTITIES.ORDER, order, null);
+
+  return res.status(200).json({
+    success: true,
+    message: "The order has been deleted",
+  });
+}));
 
 /**
  * @swagger
  * /api/v1/orders/get/totalsales:
  *   get:
  *     summary: "Get total sales"
- *     description: "Returns the total sales amount for all orders"
+ *     description: "Returns the total sales amount of the paid orders (Paid, Processing, Shipped or Delivered) in a reporting currency, plus the totals of every order currency. Each order is converted to the base currency with the exchange rate of the day it was placed"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Reporting currency, the base currency by default"
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: "Total sales amount"
@@ -315,20 +586,55 @@ router.delete("/:id", (req, res) => {
  *               properties:
  *                 totalSales:
  *                   type: number
+ *                 currency:
+ *                   type: string
+ *                 byCurrency:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       currency:
+ *                         type: string
+ *                       totalSales:
+ *                         type: number
  *       400:
  *         description: "Unable to calculate total sales"
  */
-router.get("/get/totalsales", async (req, res) => {
-  const totalSales = await Order.aggregate([
-    { $group: { _id: null, totalSales: { $sum: "$totalPrice" } } },
-  ]);
-  if (!totalSales) {
-    return res.status(400).send("The order sales cannot be generated");
-  }
-  res.send({
-    totalSales: totalSales.pop().totalSales,
-  });
-});
+router.get(
+  "/get/totalsales",
+  authorize("orders:read:any"),
+  asyncHandler(async (req, res) => {
+    const money = await converter(req.query.currency);
+
+    // Only paid orders are sales, as in the analytics reports. Orders placed
+    // before currencies existed are in the base currency
+    const totals = await Order.aggregate([
+      { $match: { status: { $in: PAID_STATUSES } } },
+      {
+        $group: {
+          _id: { $ifNull: ["$currency", baseCurrency()] },
+          totalSales: { $sum: "$totalPrice" },
+          baseSales: {
+            $sum: {
+              $divide: ["$totalPrice", { $ifNull: ["$exchangeRate", 1] }],
+            },
+          },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const baseSales = totals.reduce((sum, item) => sum + item.baseSales, 0);
+    res.send({
+      totalSales: money.fromBase(baseSales),
+      currency: money.currency,
+      byCurrency: totals.map((item) => ({
+        currency: item._id,
+        totalSales: roundMoney(item.totalSales),
+      })),
+    });
+  })
+);
 
 /**
  * @swagger
@@ -336,6 +642,8 @@ router.get("/get/totalsales", async (req, res) => {
  *   get:
  *     summary: "Get total order count"
  *     description: "Returns the total number of orders"
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: "Total number of orders"
@@ -346,25 +654,20 @@ router.get("/get/totalsales", async (req, res) => {
  *               properties:
  *                 orderCount:
  *                   type: number
- *       500:
- *         description: "Failed to count orders"
  */
-router.get(`/get/count`, async (req, res) => {
+router.get(`/get/count`, authorize("orders:read:any"), asyncHandler(async (req, res) => {
   const orderCount = await Order.countDocuments({});
-  if (!orderCount) {
-    res.status(500).json({
-      success: false,
-    });
-  }
   res.send({ orderCount: orderCount });
-});
+}));
 
 /**
  * @swagger
  * /api/v1/orders/get/usersorders/{userid}:
  *   get:
  *     summary: "Get orders by user"
- *     description: "Returns a list of orders placed by a specific user"
+ *     description: "Returns a page of the orders placed by a specific user"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userid
@@ -372,30 +675,109 @@ router.get(`/get/count`, async (req, res) => {
  *         description: "User ID"
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [date, -date, totalPrice, -totalPrice, status, -status]
+ *           default: -date
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: "Ordered on or after this date"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: "Ordered on or before this date"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: "nextCursor of the previous page, for cursor pagination instead of page"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         description: "Comma separated list of fields to return"
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: "A list of orders"
+ *         description: "A page of orders"
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
+ *               type: object
+ *               properties:
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       totalPrice:
+ *                         type: number
+ *                       dateOrdered:
+ *                         type: string
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *       400:
+ *         description: "Invalid query parameters"
  *       500:
  *         description: "User orders not found"
  */
-router.get(`/get/usersorders/:userid`, async (req, res) => {
-  const userOrderList = await Order.find({ user: req.params.userid })
-    .populate({
+router.get(`/get/usersorders/:userid`, requireAuth, validate({ params: { userid: objectId }, query: { status } }), asyncHandler(async (req, res) => {
+  if (!isOwnerOr(req.auth, req.params.userid, "orders:read:any")) {
+    throw new ForbiddenError();
+  }
+
+  const filter = { user: req.params.userid };
+  if (req.query.status) filter.status = String(req.query.status);
+
+  const listQuery = parseListQuery(req.query, ORDER_LIST);
+  const page = await findPage(Order, filter, listQuery, [
+    {
       path: "orderItems",
       populate: { path: "product", populate: "category" },
-    })
-    .sort({ dateOrdered: -1 });
-
-  if (!userOrderList) {
-    res.status(500).json({ success: false });
-  }
-  res.send(userOrderList);
-});
+    },
+  ]);
+  sendPage(req, res, "orders", page);
+}));
 
 module.exports = router;
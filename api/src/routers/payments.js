@@ -0,0 +1,169 @@
+const { Payment } = require("../models/payment");
+const { Order } = require("../models/order");
+const asyncHandler = require("../helpers/asyncHandler");
+const { ForbiddenError, NotFoundError } = require("../helpers/errors");
+const { startPayment, applyPaymentEvent } = require("../helpers/payments");
+const { getProvider } = require("../helpers/paymentProviders");
+const { systemRequest } = require("../helpers/audit");
+const { requireAuth, isOwnerOr } = require("../helpers/authorize");
+const { validate, idParams, objectId } = require("../helpers/validate");
+
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/payments:
+ *   post:
+ *     summary: "Pay an order"
+ *     description: "Starts a payment attempt with the configured provider for what is still owed on a pending order. A new attempt can be started after the previous one failed"
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               order:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: "Payment started, clientData holds what the client needs to complete it"
+ *       404:
+ *         description: "Order not found"
+ *       409:
+ *         description: "The order is not pending, already paid or has a payment in progress"
+ *       502:
+ *         description: "The payment provider rejected the payment"
+ */
+router.post(`/`, requireAuth, validate({ body: { order: objectId } }), asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.body.order);
+  if (!order) throw new NotFoundError("Order not found!");
+  if (!isOwnerOr(req.auth, order.user, "orders:update")) {
+    throw new ForbiddenError();
+  }
+
+  const payment = await startPayment(order, req);
+  res.status(201).send(payment);
+}));
+
+/**
+ * @swagger
+ * /api/v1/payments/order/{orderId}:
+ *   get:
+ *     summary: "Get the payments of an order"
+ *     description: "Every payment attempt of the order, oldest first"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The payment attempts"
+ *       404:
+ *         description: "Order not found"
+ */
+router.get(`/order/:orderId`, requireAuth, validate({ params: { orderId: objectId } }), asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+  if (!order) throw new NotFoundError("Order not found!");
+  if (!isOwnerOr(req.auth, order.user, "orders:read:any")) {
+    throw new ForbiddenError();
+  }
+
+  const payments = await Payment.find({ order: order._id }).sort({
+    attempt: 1,
+  });
+  res.send(payments);
+}));
+
+/**
+ * @swagger
+ * /api/v1/payments/{id}:
+ *   get:
+ *     summary: "Get payment by ID"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The payment"
+ *       404:
+ *         description: "Payment not found"
+ */
+router.get(`/:id`, requireAuth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.id).populate(
+    "order",
+    "user"
+  );
+  if (!payment) throw new NotFoundError("Payment not found");
+  const owner = payment.order ? payment.order.user : null;
+  if (!isOwnerOr(req.auth, owner, "orders:read:any")) {
+    throw new ForbiddenError();
+  }
+
+  res.send(payment);
+}));
+
+/**
+ * @swagger
+ * /api/v1/payments/webhook/{provider}:
+ *   post:
+ *     summary: "Payment provider webhook"
+ *     description: "Receives the signed events of the payment provider (payment.authorized, payment.captured, payment.failed, payment.cancelled) and updates the payment and its order. Redelivered events are acknowledged without applying them twice"
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: "Event received"
+ *       401:
+ *         description: "Invalid signature"
+ *       404:
+ *         description: "Unknown provider or payment"
+ */
+router.post(`/webhook/:provider`, asyncHandler(async (req, res) => {
+  const provider = getProvider();
+  if (req.params.provider !== provider.name) {
+    throw new NotFoundError("Unknown payment provider");
+  }
+
+  const event = provider.verifyWebhook(req.rawBody, req.headers);
+  const { payment, duplicate } = await applyPaymentEvent(
+    provider.name,
+    event,
+    systemRequest(req, "payments")
+  );
+  res.send({ received: true, duplicate, status: payment.status });
+}));
+
+module.exports = router;
@@ -2,78 +2,514 @@ const express = require("express");
 const { Product } = require("../models/product");
 const { Category } = require("../models/category");
 const router = express.Router();
-const mongoose = require("mongoose");
 const multer = require("multer");
+const { authorize } = require("../helpers/authorize");
+const { buildProductFilter } = require("../helpers/productQuery");
+const {
+  parseListQuery,
+  findPage,
+  sendPage,
+} = require("../helpers/listQuery");
+const asyncHandler = require("../helpers/asyncHandler");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+} = require("../helpers/errors");
+const {
+  validate,
+  idParams,
+  objectId,
+  optional,
+  deletedQuery,
+  deleteQuery,
+} = require("../helpers/validate");
+const { converter } = require("../helpers/currency");
+const { syncBasePrices } = require("../helpers/basePrice");
+const {
+  storeProductImage,
+  removeProductImage,
+} = require("../helpers/productImages");
+const {
+  catalogRecords,
+  catalogFormat,
+  parseCatalog,
+  importCatalog,
+  writeCatalog,
+} = require("../helpers/catalog");
+const { syncVariantStock } = require("../helpers/stock");
+const { snapshot, recordAudit } = require("../helpers/audit");
+const {
+  AUDIT_ACTIONS,
+  AUDITED_ENTITIES,
+} = require("../helpers/auditActions");
+const {
+  NOT_DELETED,
+  deletedFilter,
+  permanentDelete,
+  isDeleted,
+  softDelete,
+  restore,
+  purge,
+} = require("../helpers/deletion");
 
-// Validation extension
+// First gate on the declared type; the content itself is checked by the
+// image pipeline before anything is stored
 const FILE_TYPE_MAP = {
   "image/png": "png",
   "image/jpg": "jpg",
   "image/jpeg": "jpeg",
+  "image/webp": "webp",
 };
 
-// Add image
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const isValid = FILE_TYPE_MAP[file.mimetype];
-    let uploadError = new Error("Invalid image type");
+const MAX_GALLERY_UPLOAD = 10;
 
-    if (isValid) {
-      uploadError = null;
+// Files stay in memory until the pipeline has validated and resized them
+const uploadOptions = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (!FILE_TYPE_MAP[file.mimetype]) {
+      return cb(new BadRequestError("Invalid image type"));
     }
-
-    cb(uploadError, "public/uploads");
-  },
-  filename: function (req, file, cb) {
-    const fileName = file.originalname.split(" ").join("-");
-    const extension = FILE_TYPE_MAP[file.mimetype];
-    cb(null, `${fileName}-${Date.now()}.${extension}`);
+    cb(null, true);
   },
 });
 
-const uploadOptions = multer({ storage: storage });
+// Catalog files for the bulk import, parsed from memory
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// A 409 with message for a unique index error, any other error as it is
+function duplicateSku(error, message) {
+  if (error.code !== 11000) return error;
+  return new ConflictError(message, { code: ERROR_CODES.DUPLICATE });
+}
+
+// Name used in the gallery routes: the folder holding the variants of the
+// image, or the file name for uploads made before the image pipeline
+function imageName(url) {
+  const segments = new URL(url, "http://localhost").pathname.split("/");
+  const fileName = segments[segments.length - 1];
+  return segments[segments.length - 3] === "products"
+    ? segments[segments.length - 2]
+    : fileName;
+}
+
+// Shows the prices of the products in the currency of ?currency=
+async function inCurrency(products, currency) {
+  if (!currency) return products;
+  const money = await converter(currency);
+  products.forEach((product) => {
+    if (product.price === undefined) return;
+    const from = product.currency;
+    product.price = money.convert(product.price, from);
+    // A variant price overrides the product price, in the same currency
+    (product.variants || []).forEach((variant) => {
+      if (variant.price != null) {
+        variant.price = money.convert(variant.price, from);
+      }
+    });
+    product.currency = money.currency;
+  });
+  return products;
+}
+
+// A product is only priced in a currency with an exchange rate, as in the
+// catalog import. Throws a 400 otherwise
+async function checkCurrency(currency) {
+  if (currency !== undefined) await converter(currency);
+}
+
+// Multipart forms send every field as text, see helpers/validate.js
+const PRODUCT_FIELDS = {
+  name: { type: "string", required: true, max: 200 },
+  description: { type: "string", required: true, max: 2000 },
+  richDescription: { type: "string", max: 20000 },
+  sku: { type: "string", max: 64 },
+  brand: { type: "string", max: 100 },
+  price: { type: "number", min: 0 },
+  currency: { type: "string", max: 3 },
+  category: objectId,
+  countInStock: { type: "integer", required: true, min: 0 },
+  weight: { type: "number", min: 0 },
+  isFeatured: { type: "boolean" },
+};
+const imageUrls = {
+  type: "array",
+  items: { type: "string", required: true },
+};
+const OPTIONS_BODY = {
+  options: {
+    type: "array",
+    required: true,
+    items: {
+      type: "object",
+      required: true,
+      properties: {
+        name: { type: "string", required: true, max: 50 },
+        values: {
+          type: "array",
+          required: true,
+          items: { type: "string", required: true, max: 50 },
+        },
+      },
+    },
+  },
+};
+const VARIANT_FIELDS = {
+  sku: { type: "string", required: true, max: 64 },
+  options: { type: "object", required: true },
+  price: { type: "number", min: 0, nullable: true },
+  countInStock: { type: "integer", min: 0 },
+  images: imageUrls,
+};
+const VARIANT_PARAMS = { id: objectId, variantId: objectId };
+const CATALOG_FORMAT = { type: "string", enum: ["csv", "json"] };
+
+const PRODUCT_LIST = {
+  sorts: {
+    // Across currencies, see helpers/basePrice.js
+    price: "basePrice",
+    date: "dateCreated",
+    rating: "rating",
+    name: "name",
+  },
+  defaultSort: "-date",
+  fields: [
+    "name",
+    "description",
+    "richDescription",
+    "image",
+    "images",
+    "imageVariants",
+    "sku",
+    "brand",
+    "price",
+    "currency",
+    "category",
+    "countInStock",
+    "options",
+    "variants",
+    "weight",
+    "rating",
+    "numReviews",
+    "isFeatured",
+    "dateCreated",
+  ],
+  dateField: "dateCreated",
+};
 
 /**
  * @swagger
  * /api/v1/products:
  *   get:
  *     summary: "Get all products"
- *     description: "Retrieve a list of all products, with optional category filtering"
+ *     description: "Search, filter, sort and paginate the catalog"
  *     parameters:
  *       - in: query
  *         name: categories
  *         required: false
- *         description: "Comma separated list of category IDs to filter products by"
+ *         description: "Comma separated list of category IDs or slugs to filter products by"
  *         schema:
  *           type: string
  *           example: "60adf6a2e3b5a04b9c3d82d1"
+ *       - in: query
+ *         name: includeSubcategories
+ *         required: false
+ *         description: "Also match the products of every descendant of the categories"
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         required: false
+ *         description: "Text to look for in the name, description, brand or SKU"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: brand
+ *         required: false
+ *         description: "Comma separated list of brands"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         required: false
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         required: false
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: inStock
+ *         required: false
+ *         description: "Only products with stock"
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isFeatured
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minRating
+ *         required: false
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [price, -price, date, -date, rating, -rating, name, -name]
+ *           default: -date
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Show the prices in this currency"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: "nextCursor of the previous page, for cursor pagination instead of page"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         description: "Comma separated list of fields to return"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: "Created on or after this date"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: "Created on or before this date"
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: "Also return deleted records, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: "List of products"
+ *         description: "A page of products"
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *       400:
+ *         description: "Invalid query parameters"
  *       500:
  *         description: "Failed to fetch products"
  */
-router.get(`/`, async (req, res) => {
-  let filter = {};
-  if (req.query.categories) {
-    filter = { category: req.query.categories.split(",") };
+router.get(`/`, validate({ query: deletedQuery }), asyncHandler(async (req, res) => {
+  const filter = {
+    ...(await buildProductFilter(req.query)),
+    ...deletedFilter(req),
+  };
+  const listQuery = parseListQuery(req.query, PRODUCT_LIST);
+  // The stored currency is needed to convert the price
+  if (req.query.currency && listQuery.projection) {
+    listQuery.projection += " currency";
   }
 
-  const productList = await Product.find(filter).populate("category");
+  const page = await findPage(Product, filter, listQuery, ["category"]);
+  await inCurrency(page.items, req.query.currency);
+  sendPage(req, res, "products", page);
+}));
 
-  if (!productList) {
-    return res.status(500).json({
-      success: false,
+/**
+ * @swagger
+ * /api/v1/products/export:
+ *   get:
+ *     summary: "Export the catalog"
+ *     description: "Streams every product matching the filters of GET /products as CSV or JSON, with the same columns the import accepts"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: search
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: categories
+ *         required: false
+ *         description: "Comma separated list of category IDs or slugs"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeSubcategories
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: "Also return deleted records, admin only"
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: "The catalog file"
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: "Invalid format or filters"
+ */
+router.get(`/export`, authorize("products:write"), validate({ query: { format: CATALOG_FORMAT, ...deletedQuery } }), asyncHandler(async (req, res) => {
+  const format = req.query.format || "csv";
+  const filter = {
+    ...(await buildProductFilter(req.query)),
+    ...deletedFilter(req),
+  };
+
+  res.attachment(`products.${format}`);
+  res.type(format === "csv" ? "text/csv" : "application/json");
+  await writeCatalog(res, filter, format);
+}));
+
+/**
+ * @swagger
+ * /api/v1/products/import:
+ *   post:
+ *     summary: "Import products in bulk"
+ *     description: "Creates or updates products by SKU from a CSV or JSON file (or a products array in a JSON body). Categories are looked up by name. Nothing is written if any row is invalid; with dryRun the rows are only validated"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         description: "Validate and report without writing anything"
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: createCategories
+ *         required: false
+ *         description: "Create the categories that do not exist instead of rejecting the rows"
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         description: "Format of the file when its name or type does not tell"
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: "Counts of created, updated and unchanged products, plus the errors of each row in a dry run"
+ *       400:
+ *         description: "Unreadable file or unknown columns"
+ *       409:
+ *         description: "Another product took one of the SKUs during the import"
+ *       422:
+ *         description: "Some rows are invalid, nothing was imported"
+ */
+router.post(
+  `/import`,
+  authorize("products:write"),
+  catalogUpload.single("file"),
+  validate({
+    query: {
+      format: CATALOG_FORMAT,
+      dryRun: { type: "boolean" },
+      createCategories: { type: "boolean" },
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const records = req.file
+      ? parseCatalog(
+          req.file.buffer.toString("utf8"),
+          catalogFormat(req.file, req.query.format)
+        )
+      : catalogRecords(req.body);
+
+    const result = await importCatalog(records, {
+      dryRun: req.query.dryRun === "true",
+      createCategories: req.query.createCategories === "true",
+      req,
     });
-  }
-  res.send(productList);
-});
+    res.send(result);
+  })
+);
 
 /**
  * @swagger
@@ -89,6 +525,18 @@ router.get(`/`, async (req, res) => {
  *         schema:
  *           type: string
  *           example: "60adf6a2e3b5a04b9c3d82d1"
+ *       - in: query
+ *         name: currency
+ *         required: false
+ *         description: "Show the price in this currency"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: "Also return deleted records, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: "Product found"
@@ -96,18 +544,18 @@ router.get(`/`, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
- *       500:
+ *       404:
  *         description: "Product not found"
  */
-router.get(`/:id`, async (req, res) => {
-  const product = await Product.findById(req.params.id).populate("category");
-  if (!product) {
-    return res.status(500).json({
-      success: false,
-    });
-  }
+router.get(`/:id`, validate({ params: idParams, query: deletedQuery }), asyncHandler(async (req, res) => {
+  const product = await Product.findOne({
+    _id: req.params.id,
+    ...deletedFilter(req),
+  }).populate("category");
+  if (!product) throw new NotFoundError("Product not found");
+  await inCurrency([product], req.query.currency);
   res.send(product);
-});
+}));
 
 /**
  * @swagger
@@ -115,6 +563,8 @@ router.get(`/:id`, async (req, res) => {
  *   post:
  *     summary: "Create a new product"
  *     description: "Create a new product and upload an image"
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       content:
  *         multipart/form-data:
@@ -130,18 +580,22 @@ router.get(`/:id`, async (req, res) => {
  *               image:
  *                 type: string
  *                 format: binary
+ *               sku:
+ *                 type: string
  *               brand:
  *                 type: string
  *               price:
  *                 type: number
+ *               currency:
+ *                 type: string
+ *                 description: "ISO code of the price currency, the base currency by default"
  *               category:
  *                 type: string
  *               countInStock:
  *                 type: number
- *               rating:
- *                 type: number
- *               numReviews:
+ *               weight:
  *                 type: number
+ *                 description: "Shipping weight in kg"
  *               isFeatured:
  *                 type: boolean
  *     responses:
@@ -152,38 +606,53 @@ router.get(`/:id`, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Product'
  *       400:
- *         description: "Invalid category or no image provided"
+ *         description: "Invalid category, currency without exchange rate or no image provided"
  */
-router.post(`/`, uploadOptions.single("image"), async (req, res) => {
-  const category = await Category.findById(req.body.category);
-  if (!category) return res.status(400).send("Invalid Category");
-
-  const file = req.file;
-  if (!file) return res.status(400).send("No image in the request");
-
-  const fileName = req.file.filename;
-  const basePath = `${req.protocol}://${req.get("host")}/public/uploads/`;
-
-  var product = new Product({
-    name: req.body.name,
-    description: req.body.description,
-    richDescription: req.body.richDescription,
-    image: `${basePath}${fileName}`,
-    brand: req.body.brand,
-    price: req.body.price,
-    category: req.body.category,
-    countInStock: req.body.countInStock,
-    rating: req.body.rating,
-    numReviews: req.body.numReviews,
-    isFeatured: req.body.isFeatured,
-  });
+router.post(
+  `/`,
+  authorize("products:write"),
+  uploadOptions.single("image"),
+  validate({ body: PRODUCT_FIELDS }),
+  asyncHandler(async (req, res) => {
+    const category = await Category.findOne({
+      _id: req.body.category,
+      ...NOT_DELETED,
+    });
+    if (!category) throw new BadRequestError("Invalid Category");
+    await checkCurrency(req.body.currency);
 
-  product = await product.save();
+    const file = req.file;
+    if (!file) throw new BadRequestError("No image in the request");
 
-  if (!product) return res.status(500).send("The product cannot be created");
+    const image = await storeProductImage(file.buffer, req);
 
-  res.send(product);
-});
+    var product = new Product({
+      name: req.body.name,
+      description: req.body.description,
+      richDescription: req.body.richDescription,
+      image: image.url,
+      imageVariants: [image.variants],
+      sku: req.body.sku,
+      brand: req.body.brand,
+      price: req.body.price,
+      currency: req.body.currency,
+      category: req.body.category,
+      countInStock: req.body.countInStock,
+      weight: req.body.weight,
+      isFeatured: req.body.isFeatured,
+    });
+
+    try {
+      product = await product.save();
+    } catch (error) {
+      throw duplicateSku(error, "Another product has this SKU");
+    }
+    await syncBasePrices({ _id: product._id });
+    await recordAudit(req, AUDITED_ENTITIES.PRODUCT, null, product);
+
+    res.send(product);
+  })
+);
 
 /**
  * @swagger
@@ -191,6 +660,8 @@ router.post(`/`, uploadOptions.single("image"), async (req, res) => {
  *   put:
  *     summary: "Update a product"
  *     description: "Update a product's details including the image"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -213,18 +684,22 @@ router.post(`/`, uploadOptions.single("image"), async (req, res) => {
  *                 type: string
  *               image:
  *                 type: string
+ *               sku:
+ *                 type: string
  *               brand:
  *                 type: string
  *               price:
  *                 type: number
+ *               currency:
+ *                 type: string
+ *                 description: "ISO code of the price currency, the base currency by default"
  *               category:
  *                 type: string
  *               countInStock:
  *                 type: number
- *               rating:
- *                 type: number
- *               numReviews:
+ *               weight:
  *                 type: number
+ *                 description: "Shipping weight in kg"
  *               isFeatured:
  *                 type: boolean
  *     responses:
@@ -235,54 +710,650 @@ router.post(`/`, uploadOptions.single("image"), async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Product'
  *       400:
- *         description: "Invalid product ID or category"
+ *         description: "Invalid product ID, category or currency without exchange rate"
  *       500:
  *         description: "Failed to update product"
  */
-router.put(`/:id`, uploadOptions.single("image"), async (req, res) => {
-  if (!mongoose.isValidObjectId(req.params.id)) {
-    return res.status(400).send("Invalid Product Id");
-  }
+router.put(
+  `/:id`,
+  authorize("products:write"),
+  uploadOptions.single("image"),
+  validate({
+    params: idParams,
+    body: { ...optional(PRODUCT_FIELDS), category: objectId },
+  }),
+  asyncHandler(async (req, res) => {
+    const category = await Category.findOne({
+      _id: req.body.category,
+      ...NOT_DELETED,
+    });
+    if (!category) throw new BadRequestError("Invalid Category");
+    await checkCurrency(req.body.currency);
+
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...NOT_DELETED,
+    });
+    if (!product) throw new NotFoundError("Product not found");
 
-  const category = await Category.findById(req.body.category);
-  if (!category) return res.status(400).send("Invalid Category");
+    const file = req.file;
+    let imagepath = product.image;
+    let imageVariants = product.imageVariants;
 
-  const product = await Product.findById(req.params.id);
-  if (!product) return res.status(400).send("Invalid Product");
+    if (file) {
+      const image = await storeProductImage(file.buffer, req);
+      imagepath = image.url;
+      imageVariants = [...imageVariants, image.variants];
+    }
+
+    let updateProduct;
+    try {
+      updateProduct = await Product.findOneAndUpdate(
+        { _id: req.params.id, ...NOT_DELETED },
+        {
+          name: req.body.name,
+          description: req.body.description,
+          richDescription: req.body.richDescription,
+          image: imagepath,
+          imageVariants,
+          sku: req.body.sku,
+          brand: req.body.brand,
+          price: req.body.price,
+          currency: req.body.currency,
+          category: req.body.category,
+          // The stock of a product with variants is the total of its variants
+          countInStock:
+            product.variants.length > 0 ? undefined : req.body.countInStock,
+          weight: req.body.weight,
+          isFeatured: req.body.isFeatured,
+        },
+        { new: true }
+      );
+    } catch (error) {
+      throw duplicateSku(error, "Another product has this SKU");
+    }
+    if (!updateProduct) throw new NotFoundError("Product not found");
+    await syncBasePrices({ _id: updateProduct._id });
+    await recordAudit(req, AUDITED_ENTITIES.PRODUCT, product, updateProduct);
+
+    // The replaced primary image is gone unless it is also in the gallery
+    if (file && product.image && !product.images.includes(product.image)) {
+      await removeProductImage(product.image, product.imageVariants);
+      await Product.updateOne(
+        { _id: product._id },
+        { $pull: { imageVariants: { url: product.image } } }
+      );
+    }
+
+    res.send(updateProduct);
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/images:
+ *   post:
+ *     summary: "Upload gallery images"
+ *     description: "Uploads up to 10 images at once and appends them to the product gallery"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: "Product with the new gallery"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: "Invalid product ID or no images provided"
+ *       404:
+ *         description: "Product not found"
+ */
+router.post(
+  `/:id/images`,
+  authorize("products:write"),
+  uploadOptions.array("images", MAX_GALLERY_UPLOAD),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+      throw new BadRequestError("No images in the request");
+    }
+    const before = await Product.findOne({
+      _id: req.params.id,
+      ...NOT_DELETED,
+    });
+    if (!before) throw new NotFoundError("Product not found");
+
+    // Sequential on purpose: resizing is CPU and memory heavy
+    const images = [];
+    try {
+      for (const file of files) {
+        images.push(await storeProductImage(file.buffer, req));
+      }
+    } catch (error) {
+      await Promise.all(
+        images.map((image) => removeProductImage(image.url, [image.variants]))
+      );
+      throw error;
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { _id: req.params.id, ...NOT_DELETED },
+      {
+        $push: {
+          images: { $each: images.map((image) => image.url) },
+          imageVariants: { $each: images.map((image) => image.variants) },
+        },
+      },
+      { new: true }
+    );
+    await recordAudit(req, AUDITED_ENTITIES.PRODUCT, before, product);
 
-  const file = req.file;
-  let imagepath;
+    res.send(product);
+  })
+);
 
-  if (file) {
-    const fileName = req.file.filename;
-    const basePath = `${req.protocol}://${req.get("host")}/public/uploads/`;
-    imagepath = `${basePath}${fileName}`;
-  } else {
-    imagepath = product.image;
+/**
+ * @swagger
+ * /api/v1/products/{id}/images/order:
+ *   put:
+ *     summary: "Reorder gallery images"
+ *     description: "Sets the order of the gallery. The list must contain exactly the current gallery images"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: "Product with the reordered gallery"
+ *       400:
+ *         description: "The list is not a reordering of the gallery"
+ *       404:
+ *         description: "Product not found"
+ */
+router.put(
+  `/:id/images/order`,
+  authorize("products:write"),
+  validate({
+    params: idParams,
+    body: { images: { ...imageUrls, required: true } },
+  }),
+  asyncHandler(async (req, res) => {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...NOT_DELETED,
+    });
+    if (!product) throw new NotFoundError("Product not found");
+
+    const images = req.body.images;
+    const current = [...product.images].sort();
+    if (
+      images.length !== current.length ||
+      [...images].sort().some((image, index) => image !== current[index])
+    ) {
+      throw new BadRequestError(
+        "images must contain exactly the current gallery images"
+      );
+    }
+
+    const before = snapshot(product);
+    product.images = images;
+    await product.save();
+    await recordAudit(req, AUDITED_ENTITIES.PRODUCT, before, product);
+
+    res.send(product);
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/images/primary:
+ *   put:
+ *     summary: "Choose the primary image"
+ *     description: "Sets one of the gallery images as the primary image of the product"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "Product with the new primary image"
+ *       400:
+ *         description: "The image is not in the gallery"
+ *       404:
+ *         description: "Product not found"
+ */
+router.put(
+  `/:id/images/primary`,
+  authorize("products:write"),
+  validate({
+    params: idParams,
+    body: { image: { type: "string", required: true } },
+  }),
+  asyncHandler(async (req, res) => {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...NOT_DELETED,
+    });
+    if (!product) throw new NotFoundError("Product not found");
+
+    if (!product.images.includes(req.body.image)) {
+      throw new BadRequestError("The image is not in the gallery");
+    }
+
+    const before = snapshot(product);
+    const previous = product.image;
+    product.image = req.body.image;
+
+    // A primary image that is not in the gallery is not used anymore
+    const orphan = previous && !product.images.includes(previous);
+    const orphanVariants = product.imageVariants.filter(
+      (item) => item.url === previous
+    );
+    if (orphan) {
+      product.imageVariants = product.imageVariants.filter(
+        (item) => item.url !== previous
+      );
+    }
+    await product.save();
+    await recordAudit(req, AUDITED_ENTITIES.PRODUCT, before, product);
+    if (orphan) await removeProductImage(previous, orphanVariants);
+
+    res.send(product);
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/images/{name}:
+ *   delete:
+ *     summary: "Delete a gallery image"
+ *     description: "Removes the image from the gallery (and from the variants showing it) and deletes all its files. If it was the primary image, the first remaining gallery image becomes the primary one"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         description: "Name of the image: the folder of its variants in the URL (products/<name>/large.jpeg), or the file name for older uploads"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Product without the image"
+ *       404:
+ *         description: "Product or image not found"
+ */
+router.delete(
+  `/:id/images/:name`,
+  authorize("products:write"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...NOT_DELETED,
+    });
+    if (!product) throw new NotFoundError("Product not found");
+
+    const image = product.images.find(
+      (url) => imageName(url) === req.params.name
+    );
+    if (!image) throw new NotFoundError("Image not found");
+
+    const before = snapshot(product);
+    const wasPrimary = product.image === image;
+    const imageVariants = product.imageVariants.filter(
+      (item) => item.url === image
+    );
+    product.images.pull(image);
+    product.variants.forEach((variant) => variant.images.pull(image));
+    if (wasPrimary) {
+      product.image = product.images[0] || "";
+    }
+    product.imageVariants = product.imageVariants.filter(
+      (item) => item.url !== image
+    );
+    await product.save();
+    await recordAudit(req, AUDITED_ENTITIES.PRODUCT, before, product);
+    await removeProductImage(image, imageVariants);
+
+    res.send(product);
+  })
+);
+
+// Variant fields present in the request body
+function variantFields(body) {
+  const fields = {};
+  ["sku", "options", "price", "countInStock", "images"].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/options:
+ *   put:
+ *     summary: "Set the variant options"
+ *     description: "Sets the options the variants of the product choose from, e.g. Size and Color. Every existing variant must still match them"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       200:
+ *         description: "Product with the new options"
+ *       400:
+ *         description: "Invalid options or some variants do not match them"
+ *       404:
+ *         description: "Product not found"
+ */
+router.put(`/:id/options`, authorize("products:write"), validate({ params: idParams, body: OPTIONS_BODY }), asyncHandler(async (req, res) => {
+  const product = await Product.findOne({
+    _id: req.params.id,
+    ...NOT_DELETED,
+  });
+  if (!product) throw new NotFoundError("Product not found");
+
+  const before = snapshot(product);
+  product.options = req.body.options;
+  await product.save();
+  await recordAudit(req, AUDITED_ENTITIES.PRODUCT, before, product);
+
+  res.send(product);
+}));
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/variants:
+ *   post:
+ *     summary: "Add a variant"
+ *     description: "Adds a variant choosing one value of every option of the product. Once a product has variants it is ordered by variant and its stock is the total of its variants"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { "Size": "M", "Color": "Red" }
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *                 description: "Price of the variant in the product currency, the product price when null"
+ *               countInStock:
+ *                 type: number
+ *               images:
+ *                 type: array
+ *                 description: "Gallery images of the product showing the variant"
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: "Product with the new variant"
+ *       400:
+ *         description: "Invalid variant, options or images"
+ *       404:
+ *         description: "Product not found"
+ *       409:
+ *         description: "Another variant has this SKU"
+ */
+router.post(`/:id/variants`, authorize("products:write"), validate({ params: idParams, body: VARIANT_FIELDS }), asyncHandler(async (req, res) => {
+  const product = await Product.findOne({
+    _id: req.params.id,
+    ...NOT_DELETED,
+  });
+  if (!product) throw new NotFoundError("Product not found");
+
+  const fields = variantFields(req.body);
+  if ((fields.images || []).some((url) => !product.images.includes(url))) {
+    throw new BadRequestError("Variant images must be gallery images");
   }
 
-  const updateProduct = await Product.findByIdAndUpdate(
-    req.params.id,
-    {
-      name: req.body.name,
-      description: req.body.description,
-      richDescription: req.body.richDescription,
-      image: imagepath,
-      brand: req.body.brand,
-      price: req.body.price,
-      category: req.body.category,
-      countInStock: req.body.countInStock,
-      rating: req.body.rating,
-      numReviews: req.body.numReviews,
-      isFeatured: req.body.isFeatured,
-    },
-    { new: true }
-  );
-  if (!updateProduct)
-    return res.status(500).send("The product cannot be update!");
+  const before = snapshot(product);
+  product.variants.push(fields);
+  try {
+    await product.save();
+  } catch (error) {
+    throw duplicateSku(error, "Another variant has this SKU");
+  }
+  await syncVariantStock(product._id);
 
-  res.send(updateProduct);
-});
+  const updated = await Product.findById(product._id);
+  await recordAudit(req, AUDITED_ENTITIES.PRODUCT, before, updated);
+  res.status(201).send(updated);
+}));
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: "Update a variant"
+ *     description: "Updates the fields present in the body"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               options:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { "Size": "M", "Color": "Red" }
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *                 description: "Price of the variant in the product currency, the product price when null"
+ *               countInStock:
+ *                 type: number
+ *               images:
+ *                 type: array
+ *                 description: "Gallery images of the product showing the variant"
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: "Product with the updated variant"
+ *       400:
+ *         description: "Invalid variant, options or images"
+ *       404:
+ *         description: "Product or variant not found"
+ *       409:
+ *         description: "Another variant has this SKU"
+ */
+router.put(
+  `/:id/variants/:variantId`,
+  authorize("products:write"),
+  validate({ params: VARIANT_PARAMS, body: optional(VARIANT_FIELDS) }),
+  asyncHandler(async (req, res) => {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...NOT_DELETED,
+    });
+    if (!product) throw new NotFoundError("Product not found");
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) throw new NotFoundError("Variant not found");
+
+    const fields = variantFields(req.body);
+    if ((fields.images || []).some((url) => !product.images.includes(url))) {
+      throw new BadRequestError("Variant images must be gallery images");
+    }
+
+    const before = snapshot(product);
+    variant.set(fields);
+    try {
+      await product.save();
+    } catch (error) {
+      throw duplicateSku(error, "Another variant has this SKU");
+    }
+    await syncVariantStock(product._id);
+
+    const updated = await Product.findById(product._id);
+    await recordAudit(req, AUDITED_ENTITIES.PRODUCT, before, updated);
+    res.send(updated);
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: "Delete a variant"
+ *     description: "Carts holding the variant drop it; past orders keep their copy of it"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Product without the variant"
+ *       404:
+ *         description: "Product or variant not found"
+ */
+router.delete(
+  `/:id/variants/:variantId`,
+  authorize("products:write"),
+  validate({ params: VARIANT_PARAMS }),
+  asyncHandler(async (req, res) => {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      ...NOT_DELETED,
+    });
+    if (!product) throw new NotFoundError("Product not found");
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) throw new NotFoundError("Variant not found");
+
+    const before = snapshot(product);
+    product.variants.pull(variant._id);
+    await product.save();
+    await syncVariantStock(product._id);
+
+    const updated = await Product.findById(product._id);
+    await recordAudit(req, AUDITED_ENTITIES.PRODUCT, before, updated);
+    res.send(updated);
+  })
+);
 
 // Delete a product
 /**
@@ -290,7 +1361,9 @@ router.put(`/:id`, uploadOptions.single("image"), async (req, res) => {
  * /api/v1/products/{id}:
  *   delete:
  *     summary: "Delete a product"
- *     description: "Delete a product by ID"
+ *     description: "Soft deletes a product: it leaves the catalog and cannot be ordered, but past orders, reviews and carts keep pointing at it until it is restored. With permanent=true an already deleted product is removed for good with its reviews and images, refused while any order has it"
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -299,33 +1372,96 @@ router.put(`/:id`, uploadOptions.single("image"), async (req, res) => {
  *         schema:
  *           type: string
  *           example: "60adf6a2e3b5a04b9c3d82d1"
+ *       - in: query
+ *         name: permanent
+ *         required: false
+ *         description: "Remove a deleted record for good instead, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: "Product deleted successfully"
+ *       403:
+ *         description: "Only admins can delete products permanently"
  *       404:
  *         description: "Product not found"
+ *       409:
+ *         description: "The product is in orders, counted in references, or is not deleted yet (permanent=true)"
  */
-router.delete(`/:id`, (req, res) => {
-  Product.findByIdAndRemove(req.params.id)
-    .then((product) => {
-      if (product) {
-        return res.status(200).json({
-          success: true,
-          message: "The product is deleted",
-        });
-      } else {
-        return res.status(404).json({
-          success: false,
-          message: "Product not found",
-        });
-      }
-    })
-    .catch((err) => {
-      return res.status(400).json({
-        success: false,
-        error: err,
-      });
+router.delete(`/:id`, authorize("products:write"), validate({ params: idParams, query: deleteQuery }), asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) throw new NotFoundError("Product not found");
+
+  if (permanentDelete(req)) {
+    await purge("product", product);
+    await recordAudit(
+      req,
+      AUDITED_ENTITIES.PRODUCT,
+      product,
+      null,
+      AUDIT_ACTIONS.PURGE
+    );
+    return res.status(200).json({
+      success: true,
+      message: "The product has been permanently deleted",
     });
-});
+  }
+
+  if (isDeleted(product)) throw new NotFoundError("Product not found");
+  const before = snapshot(product);
+  await softDelete("product", product);
+  await recordAudit(
+    req,
+    AUDITED_ENTITIES.PRODUCT,
+    before,
+    product,
+    AUDIT_ACTIONS.DELETE
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "The product is deleted",
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/restore:
+ *   post:
+ *     summary: "Restore a deleted product"
+ *     description: "Undoes the soft delete of a product, which is back in the catalog. Its category must not be deleted"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The restored product"
+ *       404:
+ *         description: "Product not found"
+ *       409:
+ *         description: "The product is not deleted or its category is"
+ */
+router.post(`/:id/restore`, authorize("products:write"), validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) throw new NotFoundError("Product not found");
+
+  const before = snapshot(product);
+  await restore("product", product);
+  await recordAudit(
+    req,
+    AUDITED_ENTITIES.PRODUCT,
+    before,
+    product,
+    AUDIT_ACTIONS.RESTORE
+  );
+
+  res.send(product);
+}));
 
 module.exports = router;
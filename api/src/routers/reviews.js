@@ -0,0 +1,511 @@
+const { Review } = require("../models/review");
+const { Product } = require("../models/product");
+const asyncHandler = require("../helpers/asyncHandler");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../helpers/errors");
+const { hasPurchased, updateProductRating } = require("../helpers/reviews");
+const { NOT_DELETED } = require("../helpers/deletion");
+const {
+  REVIEW_STATUS,
+  MODERATION_STATUSES,
+} = require("../helpers/reviewStatus");
+const {
+  authorize,
+  requireAuth,
+  isOwnerOr,
+  can,
+} = require("../helpers/authorize");
+const {
+  parseListQuery,
+  findPage,
+  sendPage,
+} = require("../helpers/listQuery");
+const {
+  validate,
+  idParams,
+  objectId,
+  optional,
+} = require("../helpers/validate");
+
+const express = require("express");
+const router = express.Router();
+
+const REVIEW_QUERY = {
+  product: { type: "objectId" },
+  user: { type: "objectId" },
+  status: { type: "string", enum: Object.values(REVIEW_STATUS) },
+};
+const REVIEW_FIELDS = {
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  title: { type: "string", max: 120 },
+  comment: { type: "string", max: 5000 },
+};
+const STATUS_BODY = {
+  status: { type: "string", required: true, enum: MODERATION_STATUSES },
+};
+
+const REVIEW_LIST = {
+  sorts: { date: "dateCreated", rating: "rating", helpful: "helpfulCount" },
+  defaultSort: "-date",
+  fields: [
+    "product",
+    "user",
+    "rating",
+    "title",
+    "comment",
+    "status",
+    "helpfulCount",
+    "dateCreated",
+    "dateUpdated",
+  ],
+  projection: "-helpfulVotes",
+  dateField: "dateCreated",
+};
+
+// Editable fields of a review body, checked by REVIEW_FIELDS
+function reviewFields(body) {
+  const fields = {};
+  if (body.rating !== undefined) fields.rating = Number(body.rating);
+  if (body.title !== undefined) fields.title = String(body.title);
+  if (body.comment !== undefined) fields.comment = String(body.comment);
+  return fields;
+}
+
+async function findReview(id) {
+  const review = await Review.findById(id);
+  if (!review) throw new NotFoundError("Review not found");
+  return review;
+}
+
+// Approved reviews are public, the others only visible to their author and
+// the moderators
+function canSeeReview(req, review) {
+  return (
+    review.status === REVIEW_STATUS.APPROVED ||
+    isOwnerOr(req.auth, review.user, "reviews:moderate")
+  );
+}
+
+/**
+ * @swagger
+ * /api/v1/reviews:
+ *   get:
+ *     summary: "Get reviews"
+ *     description: "Returns a page of approved reviews. Moderators can filter by any status and authors can list their own reviews with user"
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         required: false
+ *         description: "Product ID"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         required: false
+ *         description: "Author ID"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, hidden]
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [date, -date, rating, -rating, helpful, -helpful]
+ *           default: -date
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "A page of reviews"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 page:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *       400:
+ *         description: "Invalid query parameters"
+ *       403:
+ *         description: "Only moderators can list reviews that are not approved"
+ */
+router.get(`/`, validate({ query: REVIEW_QUERY }), asyncHandler(async (req, res) => {
+  const filter = {};
+  ["product", "user"].forEach((name) => {
+    if (req.query[name] !== undefined) filter[name] = req.query[name];
+  });
+
+  const ownReviews = Boolean(req.auth) && filter.user === req.auth.userId;
+  if (can(req.auth, "reviews:moderate") || ownReviews) {
+    if (req.query.status) filter.status = String(req.query.status);
+  } else {
+    if (req.query.status && req.query.status !== REVIEW_STATUS.APPROVED) {
+      throw new ForbiddenError();
+    }
+    filter.status = REVIEW_STATUS.APPROVED;
+  }
+
+  const listQuery = parseListQuery(req.query, REVIEW_LIST);
+  const page = await findPage(Review, filter, listQuery, [
+    { path: "user", select: "name" },
+  ]);
+  sendPage(req, res, "reviews", page);
+}));
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}:
+ *   get:
+ *     summary: "Get review by ID"
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The review ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "The review"
+ *       404:
+ *         description: "Review not found"
+ */
+router.get(`/:id`, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id);
+  if (!canSeeReview(req, review)) {
+    throw new NotFoundError("Review not found");
+  }
+  await review.populate("user", "name");
+  res.send(review);
+}));
+
+/**
+ * @swagger
+ * /api/v1/reviews:
+ *   post:
+ *     summary: "Review a product"
+ *     description: "Only customers with a paid order of the product can review it, once. The review is published after a moderator approves it"
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *               - rating
+ *             properties:
+ *               product:
+ *                 type: string
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: "Review created, pending moderation"
+ *       400:
+ *         description: "Invalid product or rating"
+ *       403:
+ *         description: "The user has not bought the product"
+ *       409:
+ *         description: "The user already reviewed the product"
+ */
+router.post(`/`, authorize("reviews:write"), validate({ body: { product: objectId, ...REVIEW_FIELDS } }), asyncHandler(async (req, res) => {
+  const product = await Product.exists({
+    _id: req.body.product,
+    ...NOT_DELETED,
+  });
+  if (!product) throw new BadRequestError("Invalid Product");
+
+  const fields = reviewFields(req.body);
+
+  if (!(await hasPurchased(req.auth.userId, req.body.product))) {
+    throw new ForbiddenError(
+      "Only customers who bought this product can review it"
+    );
+  }
+
+  let review;
+  try {
+    review = await new Review({
+      ...fields,
+      product: req.body.product,
+      user: req.auth.userId,
+    }).save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw new ConflictError("You already reviewed this product", {
+      code: ERROR_CODES.DUPLICATE,
+    });
+  }
+
+  res.status(201).send(review);
+}));
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}:
+ *   put:
+ *     summary: "Edit a review"
+ *     description: "The author can change the rating, title and comment. The review goes back to moderation"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The review ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "Review updated, pending moderation"
+ *       403:
+ *         description: "Only the author can edit the review"
+ *       404:
+ *         description: "Review not found"
+ */
+router.put(`/:id`, requireAuth, validate({ params: idParams, body: optional(REVIEW_FIELDS) }), asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id);
+  if (review.user.toString() !== req.auth.userId) throw new ForbiddenError();
+
+  const wasApproved = review.status === REVIEW_STATUS.APPROVED;
+  review.set({
+    ...reviewFields(req.body),
+    status: REVIEW_STATUS.PENDING,
+    dateUpdated: Date.now(),
+  });
+  await review.save();
+  if (wasApproved) await updateProductRating(review.product);
+
+  res.send(review);
+}));
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}:
+ *   delete:
+ *     summary: "Delete a review"
+ *     description: "The author or a moderator can delete the review"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The review ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Review deleted"
+ *       404:
+ *         description: "Review not found"
+ */
+router.delete(`/:id`, requireAuth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const review = await findReview(req.params.id);
+  if (!isOwnerOr(req.auth, review.user, "reviews:moderate")) {
+    throw new ForbiddenError();
+  }
+
+  await Review.deleteOne({ _id: review._id });
+  if (review.status === REVIEW_STATUS.APPROVED) {
+    await updateProductRating(review.product);
+  }
+
+  res.status(200).json({ success: true, message: "The review is deleted" });
+}));
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}/status:
+ *   put:
+ *     summary: "Moderate a review"
+ *     description: "Approves or hides a review and updates the rating of the product"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The review ID"
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, hidden]
+ *     responses:
+ *       200:
+ *         description: "Review moderated"
+ *       400:
+ *         description: "Invalid status"
+ *       404:
+ *         description: "Review not found"
+ */
+router.put(
+  `/:id/status`,
+  authorize("reviews:moderate"),
+  validate({ params: idParams, body: STATUS_BODY }),
+  asyncHandler(async (req, res) => {
+    const review = await findReview(req.params.id);
+    review.set({
+      status: req.body.status,
+      moderatedBy: req.auth.userId,
+      dateModerated: Date.now(),
+    });
+    await review.save();
+    await updateProductRating(review.product);
+
+    res.send(review);
+  })
+);
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}/helpful:
+ *   post:
+ *     summary: "Vote a review as helpful"
+ *     description: "One vote per user, authors cannot vote their own reviews"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The review ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Current number of helpful votes"
+ *       400:
+ *         description: "The user is the author of the review"
+ *       404:
+ *         description: "Review not found"
+ *   delete:
+ *     summary: "Withdraw a helpful vote"
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: "The review ID"
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Current number of helpful votes"
+ *       404:
+ *         description: "Review not found"
+ */
+router.post(
+  `/:id/helpful`,
+  authorize("reviews:write"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const review = await findReview(req.params.id);
+    if (review.status !== REVIEW_STATUS.APPROVED) {
+      throw new NotFoundError("Review not found");
+    }
+    if (review.user.toString() === req.auth.userId) {
+      throw new BadRequestError("You cannot vote your own review");
+    }
+
+    // The condition makes a second vote of the same user a no-op
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVotes: { $ne: req.auth.userId } },
+      {
+        $push: { helpfulVotes: req.auth.userId },
+        $inc: { helpfulCount: 1 },
+      },
+      { new: true }
+    );
+
+    res.send({ helpfulCount: (updated || review).helpfulCount });
+  })
+);
+
+router.delete(
+  `/:id/helpful`,
+  authorize("reviews:write"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const review = await findReview(req.params.id);
+
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVotes: req.auth.userId },
+      {
+        $pull: { helpfulVotes: req.auth.userId },
+        $inc: { helpfulCount: -1 },
+      },
+      { new: true }
+    );
+
+    res.send({ helpfulCount: (updated || review).helpfulCount });
+  })
+);
+
+module.exports = router;
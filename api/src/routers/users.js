@@ -1,29 +1,178 @@
 const { User } = require("../models/user");
+const { mergeGuestCart } = require("../helpers/cart");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require("../helpers/emails");
+const { PURPOSES, consumeUserToken } = require("../helpers/userTokens");
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require("../helpers/tokens");
+const {
+  ROLES,
+  authorize,
+  requireAuth,
+  isOwnerOr,
+} = require("../helpers/authorize");
+const {
+  NOT_DELETED,
+  deletedFilter,
+  permanentDelete,
+  isDeleted,
+  softDelete,
+  restore,
+  purge,
+} = require("../helpers/deletion");
+const {
+  parseListQuery,
+  findPage,
+  sendPage,
+} = require("../helpers/listQuery");
+const {
+  validate,
+  idParams,
+  deletedQuery,
+  deleteQuery,
+} = require("../helpers/validate");
+const asyncHandler = require("../helpers/asyncHandler");
+const { rateLimit } = require("../helpers/rateLimit");
+const {
+  beforeLogin,
+  loginSucceeded,
+} = require("../helpers/loginThrottle");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../helpers/errors");
+const { snapshot, recordAudit } = require("../helpers/audit");
+const {
+  AUDIT_ACTIONS,
+  AUDITED_ENTITIES,
+} = require("../helpers/auditActions");
+
+const email = { type: "email", required: true, max: 254 };
+const password = { type: "string", required: true };
+const token = { type: "string", required: true };
+
+const USER_QUERY = {
+  role: { type: "string", enum: Object.values(ROLES) },
+  ...deletedQuery,
+};
+const REGISTER_BODY = {
+  name: { type: "string", required: true, max: 100 },
+  email,
+  password,
+  phone: { type: "string", required: true, max: 30 },
+  apartment: { type: "string", max: 100 },
+  zip: { type: "string", max: 20 },
+  city: { type: "string", max: 100 },
+  country: { type: "string", max: 100 },
+};
+const LOGIN_BODY = { email, password, cartId: { type: "objectId" } };
+
+// Compared with the password of the login attempts for unknown emails
+const UNKNOWN_USER_HASH = bcrypt.hashSync("no user has this password", 10);
+const ROLE_BODY = {
+  role: { type: "string", required: true, enum: Object.values(ROLES) },
+};
+
+const USER_LIST = {
+  sorts: { name: "name", email: "email" },
+  defaultSort: "name",
+  // passwordHash can never be selected
+  fields: [
+    "name",
+    "email",
+    "phone",
+    "role",
+    "isVerified",
+    "street",
+    "apartment",
+    "zip",
+    "city",
+    "country",
+  ],
+  projection: "-passwordHash",
+};
 
 /**
  * @swagger
  * /api/v1/users:
  *   get:
  *     summary: Get all users
- *     description: Retrieve a list of all users excluding password hashes.
+ *     description: Retrieve a page of users excluding password hashes.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, email, -email]
+ *           default: name
+ *       - in: query
+ *         name: role
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [customer, staff, admin]
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: "nextCursor of the previous page, for cursor pagination instead of page"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         description: "Comma separated list of fields to return"
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: "Also return deleted records, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: A list of users excluding password hashes
+ *         description: A page of users (`users`, `page`, `limit`, `total`, `totalPages`, `nextCursor`) excluding password hashes
+ *       400:
+ *         description: Invalid query parameters
  *       500:
  *         description: Server error
  */
-router.get(`/`, async (req, res) => {
-  try {
-    const userList = await User.find().select("-passwordHash");
-    res.status(200).send(userList);
-  } catch (error) {
-    res.status(500).json({ success: false, message: "Server error" });
-  }
-});
+router.get(`/`, authorize("users:read:any"), validate({ query: USER_QUERY }), asyncHandler(async (req, res) => {
+  const filter = deletedFilter(req);
+  if (req.query.role) filter.role = String(req.query.role);
+
+  const listQuery = parseListQuery(req.query, USER_LIST);
+  const page = await findPage(User, filter, listQuery);
+  sendPage(req, res, "users", page);
+}));
 
 /**
  * @swagger
@@ -31,28 +180,39 @@ router.get(`/`, async (req, res) => {
  *   get:
  *     summary: Get a user by ID
  *     description: Retrieve a user by their unique ID.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         description: User ID
+ *       - in: query
+ *         name: includeDeleted
+ *         required: false
+ *         description: "Also return deleted records, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: User data
  *       500:
  *         description: User not found
  */
-router.get("/:id", async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id).select("-passwordHash");
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    res.status(200).send(user);
-  } catch (error) {
-    res.status(500).json({ success: false, message: "Server error" });
+router.get("/:id", requireAuth, validate({ params: idParams, query: deletedQuery }), asyncHandler(async (req, res) => {
+  if (!isOwnerOr(req.auth, req.params.id, "users:read:any")) {
+    throw new ForbiddenError();
+  }
+
+  const user = await User.findOne({
+    _id: req.params.id,
+    ...deletedFilter(req),
+  }).select("-passwordHash");
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
-});
+  res.status(200).send(user);
+}));
 
 
 // /**
@@ -124,7 +284,7 @@ router.get("/:id", async (req, res) => {
  * /api/v1/users/register:
  *   post:
  *     summary: Register a new user
- *     description: Registers a new user in the system.
+ *     description: Registers a new user in the system and emails them a link to verify their address.
  *     requestBody:
  *       required: true
  *       content:
@@ -140,8 +300,6 @@ router.get("/:id", async (req, res) => {
  *                 type: string
  *               phone:
  *                 type: string
- *               isAdmin:
- *                 type: boolean
  *               apartment:
  *                 type: string
  *               zip:
@@ -152,42 +310,49 @@ router.get("/:id", async (req, res) => {
  *                 type: string
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully as a customer
  *       400:
- *         description: Invalid input or email already in use
+ *         description: Email already in use
+ *       422:
+ *         description: Missing or invalid fields, listed in errors
+ *       429:
+ *         description: Too many requests from this IP, see Retry-After
  */
-router.post("/register", async (req, res) => {
-  try {
-    const existingUser = await User.findOne({ email: req.body.email });
-    if (existingUser) {
-      return res.status(400).send("The email is already in use!");
-    }
-
-    const user = new User({
-      name: req.body.name,
-      email: req.body.email,
-      passwordHash: bcrypt.hashSync(req.body.password, 10),
-      phone: req.body.phone,
-      isAdmin: req.body.isAdmin,
-      apartment: req.body.apartment,
-      zip: req.body.zip,
-      city: req.body.city,
-      country: req.body.country,
-    });
-
-    await user.save();
-    res.status(201).send(user);
-  } catch (error) {
-    res.status(400).send("The user cannot be created!");
+router.post("/register", rateLimit("register"), validate({ body: REGISTER_BODY }), asyncHandler(async (req, res) => {
+  const existingUser = await User.findOne({ email: req.body.email });
+  if (existingUser) {
+    throw new BadRequestError("The email is already in use!");
   }
-});
+
+  const user = new User({
+    name: req.body.name,
+    email: req.body.email,
+    passwordHash: bcrypt.hashSync(req.body.password, 10),
+    phone: req.body.phone,
+    role: ROLES.CUSTOMER,
+    apartment: req.body.apartment,
+    zip: req.body.zip,
+    city: req.body.city,
+    country: req.body.country,
+  });
+
+  await user.save();
+
+  // The account exists even if the mail server is down; the user can ask
+  // for a new link with /users/resend-verification
+  sendVerificationEmail(user).catch((error) =>
+    console.error("Verification email not sent:", error.message)
+  );
+
+  res.status(201).send(user);
+}));
 
 /**
  * @swagger
  * /api/v1/users/login:
  *   post:
  *     summary: Login user
- *     description: Authenticates a user and generates a JWT token.
+ *     description: Authenticates a user and starts a session. Returns a short-lived access token and a refresh token to renew it. Failed attempts slow down the next ones and lock the email or the IP for a while (LOGIN_* settings).
  *     requestBody:
  *       required: true
  *       content:
@@ -199,67 +364,465 @@ router.post("/register", async (req, res) => {
  *                 type: string
  *               password:
  *                 type: string
+ *               cartId:
+ *                 type: string
+ *                 description: Guest cart to merge into the user cart
  *     responses:
  *       200:
  *         description: User authenticated successfully
+ *       401:
+ *         description: Invalid email or password, the same answer whether the email is registered or not
+ *       403:
+ *         description: Email not verified (only when REQUIRE_EMAIL_VERIFICATION=true)
+ *       429:
+ *         description: Too many failed attempts for this email or from this IP, see Retry-After
+ */
+router.post("/login", validate({ body: LOGIN_BODY }), asyncHandler(async (req, res) => {
+  await beforeLogin(req.body.email, req.ip);
+
+  const user = await User.findOne({ email: req.body.email, ...NOT_DELETED });
+  // Unknown emails are checked against a dummy hash so they take as long
+  // as a wrong password and get the same answer
+  const passwordMatches = bcrypt.compareSync(
+    req.body.password,
+    user ? user.passwordHash : UNKNOWN_USER_HASH
+  );
+  if (!user || !passwordMatches) {
+    throw new AuthenticationError("Invalid email or password", {
+      code: ERROR_CODES.INVALID_CREDENTIALS,
+    });
+  }
+  await loginSucceeded(req.body.email, req.ip);
+
+  const mustVerify = process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+  if (mustVerify && !user.isVerified) {
+    throw new ForbiddenError("Email not verified!", {
+      code: ERROR_CODES.EMAIL_NOT_VERIFIED,
+    });
+  }
+
+  const tokens = await issueTokens(user, req);
+
+  if (req.body.cartId) {
+    await mergeGuestCart(req.body.cartId, user.id);
+  }
+
+  res.status(200).send({
+    message: "User Authenticated",
+    user: user.email,
+    ...tokens,
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/verify-email:
+ *   post:
+ *     summary: Verify the email of a user
+ *     description: Consumes the token sent by email after registration. Each token works once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
  *       400:
- *         description: Invalid credentials
+ *         description: Invalid, expired or already used token
+ */
+router.post("/verify-email", validate({ body: { token } }), asyncHandler(async (req, res) => {
+  const userId = await consumeUserToken(
+    String(req.body.token || ""),
+    PURPOSES.VERIFY_EMAIL
+  );
+  if (!userId) {
+    throw new BadRequestError("Invalid or expired token", {
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  }
+
+  await User.findByIdAndUpdate(userId, { isVerified: true });
+  res.status(200).json({ success: true, message: "Email verified" });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/resend-verification:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Sends a new verification link. The answer is the same whether or not the email is registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email sent if the account exists and is not verified yet
+ *       429:
+ *         description: Too many requests from this IP, see Retry-After
+ */
+router.post("/resend-verification", rateLimit("email"), validate({ body: { email } }), asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    email: String(req.body.email || ""),
+    ...NOT_DELETED,
+  });
+  // Not awaited, so neither the time taken nor a mail server failure tells
+  // whether the account exists
+  if (user && !user.isVerified) {
+    sendVerificationEmail(user).catch((error) =>
+      console.error("Verification email not sent:", error.message)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "If the account exists, a verification email has been sent",
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: Sends a password reset link. The answer is the same whether or not the email is registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email sent if the account exists
+ *       429:
+ *         description: Too many requests from this IP, see Retry-After
  */
-router.post("/login", async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.body.email });
-
-    if (!user) {
-      return res.status(400).send("User not found!");
-    }
-
-    if (bcrypt.compareSync(req.body.password, user.passwordHash)) {
-      const token = jwt.sign(
-        { userId: user.id, isAdmin: user.isAdmin },
-        process.env.secret,
-        { expiresIn: "1d" }
-      );
-
-      res.status(200).send({
-        message: "User Authenticated",
-        user: user.email,
-        token,
-      });
-    } else {
-      res.status(400).send("Incorrect password!");
-    }
-  } catch (error) {
-    res.status(500).send("Server error");
+router.post("/forgot-password", rateLimit("email"), validate({ body: { email } }), asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    email: String(req.body.email || ""),
+    ...NOT_DELETED,
+  });
+  // Not awaited either, see resend-verification
+  if (user) {
+    sendPasswordResetEmail(user).catch((error) =>
+      console.error("Password reset email not sent:", error.message)
+    );
   }
-});
+
+  res.status(200).json({
+    success: true,
+    message: "If the account exists, a password reset email has been sent",
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/reset-password:
+ *   post:
+ *     summary: Reset the password
+ *     description: Sets a new password with the token sent by forgot-password and closes every session of the user. Each token works once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Invalid, expired or already used token, or missing password
+ */
+router.post("/reset-password", validate({ body: { token, password } }), asyncHandler(async (req, res) => {
+  const userId = await consumeUserToken(
+    String(req.body.token || ""),
+    PURPOSES.RESET_PASSWORD
+  );
+  if (!userId) {
+    throw new BadRequestError("Invalid or expired token", {
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  }
+
+  // The link reached the inbox, so the email is proven as well
+  await User.findByIdAndUpdate(userId, {
+    passwordHash: bcrypt.hashSync(req.body.password, 10),
+    isVerified: true,
+  });
+  await revokeAllSessions(userId);
+
+  res.status(200).json({ success: true, message: "Password changed" });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. Every refresh token can be used only once; reusing one revokes its whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post("/refresh", validate({ body: { refreshToken: token } }), asyncHandler(async (req, res) => {
+  const tokens = await rotateRefreshToken(
+    req.body.refreshToken,
+    (userId) => User.findOne({ _id: userId, ...NOT_DELETED }),
+    req
+  );
+  if (!tokens) {
+    throw new AuthenticationError("Invalid refresh token", {
+      code: ERROR_CODES.INVALID_TOKEN,
+    });
+  }
+
+  res.status(200).send(tokens);
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/logout:
+ *   post:
+ *     summary: Logout
+ *     description: Revokes the session of the given refresh token. Its access tokens stop working immediately.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session closed
+ */
+router.post("/logout", validate({ body: { refreshToken: token } }), asyncHandler(async (req, res) => {
+  // Same answer whether or not the token existed
+  await revokeRefreshToken(req.body.refreshToken);
+  res.status(200).json({ success: true, message: "Logged out" });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/logout-all:
+ *   post:
+ *     summary: Logout from all sessions
+ *     description: Revokes every session of the authenticated user.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions closed
+ */
+router.post("/logout-all", requireAuth, asyncHandler(async (req, res) => {
+  await revokeAllSessions(req.auth.userId);
+  res.status(200).json({ success: true, message: "All sessions closed" });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/sessions:
+ *   delete:
+ *     summary: Revoke the sessions of a user
+ *     description: Revokes every session of the given user, e.g. when a staff account is compromised. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: All sessions of the user closed
+ */
+router.delete("/:id/sessions", authorize("users:manage"), validate({ params: idParams }), asyncHandler(async (req, res) => {
+  await revokeAllSessions(req.params.id);
+  res.status(200).json({ success: true, message: "All sessions closed" });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/role:
+ *   put:
+ *     summary: Change the role of a user
+ *     description: Sets the role (customer, staff or admin) of a user and closes their sessions so the new role applies on next login. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [customer, staff, admin]
+ *     responses:
+ *       200:
+ *         description: User with the new role
+ *       400:
+ *         description: Unknown role
+ *       404:
+ *         description: User not found
+ */
+router.put("/:id/role", authorize("users:manage"), validate({ params: idParams, body: ROLE_BODY }), asyncHandler(async (req, res) => {
+  const before = await User.findById(req.params.id).select("-passwordHash");
+  if (!before) {
+    throw new NotFoundError("User not found");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { role: req.body.role, isAdmin: req.body.role === ROLES.ADMIN },
+    { new: true }
+  ).select("-passwordHash");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  await recordAudit(req, AUDITED_ENTITIES.USER, before, user);
+
+  // Existing tokens carry the old role
+  await revokeAllSessions(user._id);
+  res.status(200).send(user);
+}));
 
 /**
  * @swagger
  * /api/v1/users/{id}:
  *   delete:
  *     summary: Delete user by ID
- *     description: Deletes a user by their unique ID.
+ *     description: Soft deletes a user, whose orders and other records keep pointing at them, and closes their sessions. A deleted user cannot log in and is hidden from the lists until restored. With permanent=true an already deleted user is removed for good, which is refused while they have orders; their carts, reviews and tokens are deleted with them.
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         description: User ID
+ *       - in: query
+ *         name: permanent
+ *         required: false
+ *         description: "Remove a deleted record for good instead, admin only"
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: User deleted successfully
+ *       403:
+ *         description: Only admins can delete users permanently
  *       404:
  *         description: User not found
+ *       409:
+ *         description: The user is not deleted yet or still has orders (permanent=true)
  */
-router.delete("/:id", async (req, res) => {
-  try {
-    const user = await User.findByIdAndRemove(req.params.id);
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
-    res.status(200).json({ success: true, message: "User deleted successfully" });
-  } catch (error) {
-    res.status(400).json({ success: false, error });
+router.delete("/:id", authorize("users:manage"), validate({ params: idParams, query: deleteQuery }), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (permanentDelete(req)) {
+    await purge("user", user);
+    await recordAudit(
+      req,
+      AUDITED_ENTITIES.USER,
+      user,
+      null,
+      AUDIT_ACTIONS.PURGE
+    );
+    return res
+      .status(200)
+      .json({ success: true, message: "User permanently deleted" });
   }
-});
+
+  if (isDeleted(user)) throw new NotFoundError("User not found");
+  const before = snapshot(user);
+  await softDelete("user", user);
+  await recordAudit(
+    req,
+    AUDITED_ENTITIES.USER,
+    before,
+    user,
+    AUDIT_ACTIONS.DELETE
+  );
+  res.status(200).json({ success: true, message: "User deleted successfully" });
+}));
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user
+ *     description: Undoes the soft delete of a user, who can log in again. Admin only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: The restored user
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is not deleted
+ */
+router.post("/:id/restore", authorize("users:manage"), validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select("-passwordHash");
+  if (!user) throw new NotFoundError("User not found");
+
+  const before = snapshot(user);
+  await restore("user", user);
+  await recordAudit(
+    req,
+    AUDITED_ENTITIES.USER,
+    before,
+    user,
+    AUDIT_ACTIONS.RESTORE
+  );
+
+  res.send(user);
+}));
 
 module.exports = router;